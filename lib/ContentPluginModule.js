@@ -1,7 +1,8 @@
 import AbstractApiModule from 'adapt-authoring-api'
 import fs from 'node:fs/promises'
 import path from 'node:path'
-import { readJson } from 'adapt-authoring-core'
+import { randomUUID } from 'node:crypto'
+import { Hook, readJson } from 'adapt-authoring-core'
 import { loadRouteConfig } from 'adapt-authoring-server'
 import {
   addDefaultPlugins,
@@ -10,8 +11,37 @@ import {
   cleanupOldPluginBackups,
   restorePluginFromBackup,
   processPluginFiles,
-  getPluginReadmes
+  getPluginReadmes,
+  isFrameworkCompatible,
+  resolvePluginDependencies,
+  getPluginDependents,
+  readPluginManifest,
+  getPluginSourceDir,
+  getPluginSchemaAnchors,
+  diffPluginDependencies,
+  listPluginBackups,
+  snapshotPluginDir,
+  restorePluginSnapshot,
+  formatServerSentEvent,
+  buildHistoryQuery,
+  isSafePluginName,
+  validatePluginFiles,
+  hashPluginDir,
+  readBackupManifest,
+  listRepositoryPlugins,
+  extractPluginArchive,
+  readPluginArchiveManifest,
+  createPluginZip,
+  diffPluginLockfiles,
+  diffDeclaredPlugins,
+  resolveCoursePlugins,
+  buildPluginUsageQuery,
+  validateEnabledPlugins,
+  SINGLE_TYPES,
+  getCourseConfig
 } from './utils.js'
+import os from 'node:os'
+import PluginJobQueue from './PluginJobQueue.js'
 import semver from 'semver'
 /**
  * Abstract module which handles framework plugins
@@ -24,6 +54,16 @@ class ContentPluginModule extends AbstractApiModule {
     /** @ignore */ this.collectionName = 'contentplugins'
     /** @ignore */ this.root = 'contentplugins'
     /** @ignore */ this.schemaName = 'contentplugin'
+    /**
+     * Name of the collection used to store background jobs
+     * @type {String}
+     */
+    this.jobsCollectionName = 'contentpluginjobs'
+    /**
+     * Name of the collection used to store the plugin audit history
+     * @type {String}
+     */
+    this.historyCollectionName = 'contentpluginhistory'
     /**
      * Maps plugin name to a map of schema $anchor → file path. The file path
      * lets us re-register schemas after JsonSchemaModule resets the registry
@@ -36,6 +76,42 @@ class ContentPluginModule extends AbstractApiModule {
      * @type {Array}
      */
     this.newPlugins = []
+    /**
+     * MIME types accepted for gzipped tarball uploads (e.g. the output of `npm pack`), in addition to zips
+     * @type {Array<String>}
+     */
+    this.tarballTypes = ['application/gzip', 'application/x-gzip', 'application/x-tgz', 'application/x-compressed', 'application/x-compressed-tar']
+    /**
+     * Hook invoked before a plugin is installed, with the plugin data from its manifest. Observers can veto the install by throwing an error.
+     * @type {Hook}
+     */
+    this.preInstallHook = new Hook({ type: Hook.Types.Series })
+    /**
+     * Hook invoked after a plugin has been installed, with the plugin DB data
+     * @type {Hook}
+     */
+    this.postInstallHook = new Hook()
+    /**
+     * Hook invoked before a plugin is updated, with the plugin DB data. Observers can veto the update by throwing an error.
+     * Note: named to avoid clashing with AbstractApiModule#preUpdateHook, which is invoked on every DB update.
+     * @type {Hook}
+     */
+    this.prePluginUpdateHook = new Hook({ type: Hook.Types.Series })
+    /**
+     * Hook invoked after a plugin has been updated, with the new and previous plugin DB data
+     * @type {Hook}
+     */
+    this.postPluginUpdateHook = new Hook()
+    /**
+     * Hook invoked before a plugin is uninstalled, with the plugin DB data. Observers can veto the uninstall by throwing an error.
+     * @type {Hook}
+     */
+    this.preUninstallHook = new Hook({ type: Hook.Types.Series })
+    /**
+     * Hook invoked after a plugin has been uninstalled, with the plugin DB data
+     * @type {Hook}
+     */
+    this.postUninstallHook = new Hook()
 
     const config = await loadRouteConfig(this.rootDir, this, { schema: 'apiroutes' })
     if (config) this.applyRouteConfig(config)
@@ -53,6 +129,9 @@ class ContentPluginModule extends AbstractApiModule {
     await mongodb.setIndex(this.collectionName, 'name', { unique: true })
     await mongodb.setIndex(this.collectionName, 'displayName', { unique: true })
     await mongodb.setIndex(this.collectionName, 'type')
+    await mongodb.setIndex(this.jobsCollectionName, 'status')
+    await mongodb.setIndex(this.historyCollectionName, 'name')
+    await mongodb.setIndex(this.historyCollectionName, 'timestamp')
     /**
      * Cached module instance for easy access
      * @type {AdaptFrameworkModule}
@@ -63,15 +142,43 @@ class ContentPluginModule extends AbstractApiModule {
     // schemas from app.dependencies — plugin schemas would otherwise be lost.
     jsonschema.registerSchemasHook.tap(() => this.reregisterPluginSchemas())
 
+    /**
+     * Queue for running plugin operations in the background, whose lock every other plugin operation also takes
+     * @type {PluginJobQueue}
+     */
+    this.jobs = new PluginJobQueue({
+      collection: mongodb.getCollection(this.jobsCollectionName),
+      log: this.log.bind(this),
+      handlers: {
+        install: async ({ plugins, options, uploadDir }, onProgress, log) => {
+          try {
+            return await this.installPlugins(plugins, { ...options, onProgress, log })
+          } finally {
+            if (uploadDir) await fs.rm(uploadDir, { recursive: true, force: true })
+          }
+        },
+        update: ({ _id, userId }, onProgress, log) => this.updatePlugin(_id, { userId, onProgress, log }),
+        uninstall: ({ _id, options }, onProgress, log) => this.delete({ _id }, { ...options, onProgress, log }),
+        import: ({ lockfile, options }, onProgress, log) => this.importLockfile(lockfile, { ...options, onProgress, log })
+      }
+    })
     try {
-      await this.initPlugins()
+      await this.jobs.runExclusive(() => this.initPlugins())
     } catch (e) {
       this.log('error', e)
     }
+    await this.jobs.init()
+
     this.framework.postInstallHook.tap(this.syncPluginData.bind(this))
     this.framework.postUpdateHook.tap(this.syncPluginData.bind(this))
     this.app.waitForModule('content').then(content => {
+      // only the supplied plugins are validated: addDefaultPlugins won't add a theme or menu to a course which has its own
+      // copies of existing courses (e.g. clones and imports) opt in to keeping disabled plugins with allowDisabledPlugins
+      content.preInsertHook.tap((data, { schemaName, allowDisabledPlugins }) => {
+        return schemaName === 'config' && validateEnabledPlugins(this, data, undefined, { allowDisabled: allowDisabledPlugins === true })
+      })
       content.preInsertHook.tap((...args) => addDefaultPlugins(this, ...args))
+      content.preUpdateHook.tap((existing, data) => existing._type === 'config' && validateEnabledPlugins(this, data, existing))
     })
   }
 
@@ -82,8 +189,13 @@ class ContentPluginModule extends AbstractApiModule {
     delete query.includeUpdateInfo
     const results = await super.find(query, options, mongoOptions)
     if (includeUpdateInfo) {
-      const updateInfo = await this.framework.runCliCommand('getPluginUpdateInfos', { plugins: results.map(r => r.name) })
-      results.forEach(r => {
+      // plugins in the offline repository get their update info from there rather than the registry
+      const archives = await this.getRepositoryPlugins()
+      const registryPlugins = results.filter(r => !archives.some(a => a.name === r.name))
+      const updateInfo = registryPlugins.length
+        ? await this.framework.runCliCommand('getPluginUpdateInfos', { plugins: registryPlugins.map(r => r.name) })
+        : []
+      registryPlugins.forEach(r => {
         const info = updateInfo.find(i => i.name === r.name)
         if (info) {
           r.canBeUpdated = info.canBeUpdated
@@ -91,14 +203,228 @@ class ContentPluginModule extends AbstractApiModule {
           r._cliData = info
         }
       })
+      await Promise.all(results
+        .filter(r => !registryPlugins.includes(r))
+        .map(async r => Object.assign(r, await this.getRepositoryUpdateInfo(r, archives))))
     }
     return results
   }
 
+  /**
+   * Lists the plugin archives in the offline plugin repository
+   * @return {Promise<Array<Object>>} List of `{ name, version, file }`, or an empty array if no repository is configured
+   */
+  async getRepositoryPlugins () {
+    const repositoryDir = this.getConfig('pluginRepositoryDir')
+    return repositoryDir ? listRepositoryPlugins(repositoryDir) : []
+  }
+
+  /**
+   * Finds the newest archive in the offline plugin repository which satisfies a version range
+   * @param {String} name Name of the plugin
+   * @param {String} [range] Version or semver range (defaults to the newest version)
+   * @return {Promise<Object|null>} The archive as `{ name, version, file }`, or null if there's no match
+   */
+  async findRepositoryPlugin (name, range) {
+    if (range && range !== path.basename(range)) { // a path to local files
+      return null
+    }
+    const archives = (await this.getRepositoryPlugins()).filter(a => a.name === name)
+    const version = semver.maxSatisfying(archives.map(a => a.version), !range || range === 'latest' ? '*' : range, { includePrerelease: true })
+    return archives.find(a => a.version === version) ?? null
+  }
+
+  /**
+   * Checks whether an install source is a plugin archive (e.g. an uploaded tarball) which needs extracting, rather than
+   * a version or a directory of plugin files
+   * @param {String} versionOrPath The semver-formatted version, or the path to the plugin source
+   * @return {Promise<Boolean>}
+   */
+  async isPluginArchive (versionOrPath) {
+    if (!versionOrPath || versionOrPath === path.basename(versionOrPath)) {
+      return false
+    }
+    try {
+      return (await fs.stat(versionOrPath)).isFile()
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Resolves the archive (if any) which a plugin should be installed from: either a matching archive in the offline
+   * plugin repository, or an uploaded archive
+   * @param {String} pluginName Name of the plugin
+   * @param {String} versionOrPath The semver-formatted version, or the path to the plugin source
+   * @return {Promise<Object|null>} The archive as `{ file, isRepository }`, or null if the plugin isn't being installed from an archive
+   */
+  async resolvePluginArchive (pluginName, versionOrPath) {
+    const archive = await this.findRepositoryPlugin(pluginName, versionOrPath)
+    if (archive) {
+      return { file: archive.file, isRepository: true }
+    }
+    return await this.isPluginArchive(versionOrPath) ? { file: versionOrPath, isRepository: false } : null
+  }
+
+  /**
+   * Extracts a `.zip` or `.tgz` plugin archive to a temporary directory, enforcing the plugin file limits as it goes
+   * @param {String} archivePath Path to the archive
+   * @return {Promise<String>} Path to the temporary directory, which the caller should remove
+   */
+  async extractPluginArchive (archivePath) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'adapt-plugin-'))
+    try {
+      return await extractPluginArchive(archivePath, tmpDir, this.getPluginFileLimits())
+    } catch (e) {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+      throw this.toInvalidZipError(e)
+    }
+  }
+
+  /**
+   * Works out the update info for an installed plugin from the offline plugin repository
+   * @param {Object} pluginData Plugin DB data
+   * @param {Array<Object>} archives The repository's archives, as returned by getRepositoryPlugins
+   * @return {Promise<Object>} The plugin's `canBeUpdated` and `latestCompatibleVersion`
+   */
+  async getRepositoryUpdateInfo (pluginData, archives) {
+    const newer = archives.filter(a => a.name === pluginData.name && semver.gt(a.version, pluginData.version))
+    for (const { version, file } of newer) {
+      try {
+        const { framework } = await readPluginArchiveManifest(file)
+        if (isFrameworkCompatible(this.framework.version, framework)) {
+          return { canBeUpdated: true, latestCompatibleVersion: version }
+        }
+      } catch (e) {
+        this.log('warn', 'PLUGIN_REPOSITORY_READ_FAIL', file, e)
+      }
+    }
+    return { canBeUpdated: false, latestCompatibleVersion: pluginData.version }
+  }
+
   async readJson (filepath) {
     return readJson(filepath)
   }
 
+  /**
+   * Returns the function a plugin operation should log with: the job's logger for operations run as background jobs
+   * (which also streams the log lines to the job's listeners, see PluginJobQueue), otherwise the module's log
+   * @param {Object} [options] The operation's options
+   * @param {Function} [options.log] The job's logger
+   * @return {Function}
+   */
+  getLogger (options = {}) {
+    return options.log ?? this.log.bind(this)
+  }
+
+  /**
+   * Records PATCH requests in the plugin history
+   * @override
+   */
+  async requestHandler (req, res, next) {
+    if (req.method !== 'PATCH') {
+      return super.requestHandler(req, res, next)
+    }
+    let existing
+    try {
+      existing = await this.findOne(req.apiData.query, { strict: false })
+    } catch (e) {
+      return next(e)
+    }
+    let error
+    await super.requestHandler(req, res, e => {
+      error = e
+      next(e)
+    })
+    if (!existing) return
+    // the response has already been sent, so a failure here can only be logged
+    try {
+      await this.recordHistory({
+        action: 'patch',
+        name: existing.name,
+        userId: req.auth.user._id,
+        fromVersion: existing.version,
+        toVersion: existing.version,
+        courses: (await this.getPluginUses(existing._id)).map(c => c._id),
+        changes: Object.keys(req.apiData.data ?? {})
+      }, error)
+    } catch (e) {
+      this.log('warn', 'PLUGIN_HISTORY_FAIL', 'patch', existing.name, e)
+    }
+  }
+
+  /**
+   * Records an entry in the plugin audit history. Failures are logged rather than thrown, so that a problem with the
+   * audit trail can't affect the operation being recorded.
+   * @param {Object} entry
+   * @param {String} entry.action The action performed (install, update, patch, uninstall or restore)
+   * @param {String} entry.name Name of the plugin
+   * @param {String} [entry.userId] _id of the user who performed the action
+   * @param {String} [entry.fromVersion] Version installed before the action
+   * @param {String} [entry.toVersion] Version installed after the action
+   * @param {String} [entry.source] Where the plugin files came from (registry, repository, zip or backup)
+   * @param {Array<String>} [entry.courses] _ids of the courses affected by the action
+   * @param {Array<String>} [entry.changes] Attributes modified by a patch
+   * @param {Error} [error] The error, if the action failed
+   * @return {Promise}
+   */
+  async recordHistory ({ action, name, userId, fromVersion, toVersion, source, courses, changes }, error) {
+    try {
+      const mongodb = await this.app.waitForModule('mongodb')
+      await mongodb.getCollection(this.historyCollectionName).insertOne({
+        action,
+        name,
+        userId: userId ? String(userId) : null,
+        fromVersion: fromVersion ?? null,
+        toVersion: toVersion ?? null,
+        source: source ?? null,
+        courses: (courses ?? []).map(String),
+        ...(changes && { changes }),
+        outcome: error ? 'failure' : 'success',
+        error: error ? { code: error.code, message: error.message, data: error.data } : null,
+        timestamp: new Date()
+      })
+    } catch (e) {
+      this.log('warn', 'PLUGIN_HISTORY_FAIL', action, name, e)
+    }
+  }
+
+  /**
+   * Invokes one of the post-operation hooks. The operation has already completed at this point, so observer errors are
+   * logged rather than thrown.
+   * @param {Hook} hook The hook to invoke
+   * @param {...*} args Arguments to pass to the observers
+   * @return {Promise}
+   */
+  async invokePostHook (hook, ...args) {
+    try {
+      await hook.invoke(...args)
+    } catch (e) {
+      this.log('warn', 'PLUGIN_HOOK_FAIL', e)
+    }
+  }
+
+  /**
+   * Retrieves plugin audit history, newest first
+   * @param {Object} filters
+   * @param {String} [filters.plugin] Plugin name
+   * @param {String} [filters.user] _id of the acting user
+   * @param {String} [filters.action] The action performed
+   * @param {String} [filters.from] Only include entries on or after this date
+   * @param {String} [filters.to] Only include entries on or before this date
+   * @return {Promise<Array<Object>>}
+   */
+  async getHistory (filters) {
+    let query
+    try {
+      query = buildHistoryQuery(filters)
+    } catch (e) {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: [e.param] })
+    }
+    const mongodb = await this.app.waitForModule('mongodb')
+    return mongodb.getCollection(this.historyCollectionName).find(query).sort({ timestamp: -1 }).toArray()
+  }
+
   /**
    * Inserts a new document or performs an update if matching data already exists
    * @param {Object} data Data to be sent to the DB
@@ -111,23 +437,107 @@ class ContentPluginModule extends AbstractApiModule {
       : this.update({ name: data.name }, data, options)
   }
 
-  /** @override */
-  async delete (query, options, mongoOptions) {
-    const _id = query._id
-    const courses = await this.getPluginUses(_id)
-    if (courses.length) {
-      throw this.app.errors.CONTENTPLUGIN_IN_USE.setData({ courses })
+  /**
+   * Lists the courses which prevent a plugin from being uninstalled (see getPluginUses). When unused enablement is to be
+   * pruned, courses which enable the plugin without any content using it are left out, unless its usage can't be
+   * detected (see buildPluginUsageQuery), in which case pruneUnusedPluginUses won't remove it from any course.
+   * @param {Object} plugin Plugin DB data
+   * @param {Boolean} [pruneUnused] Whether the plugin's unused enablement will be pruned
+   * @return {Promise<Array<Object>>} The courses
+   */
+  async getRetainedPluginUses (plugin, pruneUnused) {
+    if (!pruneUnused || !buildPluginUsageQuery(plugin)) {
+      return this.getPluginUses(plugin._id)
     }
+    return (await this.getPluginUses(plugin._id, { includeContent: true })).filter(c => c.contentCount)
+  }
+
+  /**
+   * Uninstalls a plugin. Plugins which are used in courses or which other plugins depend on can't be removed.
+   * @param {Object} query Attributes to use to filter DB documents
+   * @param {Object} options Function options
+   * @param {Boolean} options.cascade Whether any plugins which depend on this plugin should also be uninstalled
+   * @param {Boolean} options.pruneUnused Whether to remove the plugin (and any cascaded dependants) from the courses which
+   * enable it without using it (see pruneUnusedPluginUses), once every check has passed
+   * @param {Function} options.onProgress Called with the step name and data as the uninstall progresses
+   * @param {String} options.userId _id of the user performing the uninstall (recorded in the plugin history)
+   * @param {Function} options.log Logger for the uninstall (see getLogger)
+   * @param {Object} mongoOptions Options to be passed to the MongoDB function
+   * @return {Promise} Resolves with DB data
+   */
+  async delete (query, options = {}, mongoOptions) {
+    const _id = query._id
     const pluginData = await this.findOne({ _id })
-    // unregister any schemas
-    const jsonschema = await this.app.waitForModule('jsonschema')
-    const schemas = this.pluginSchemas[pluginData.name] ?? {}
-    Object.keys(schemas).forEach(s => jsonschema.deregisterSchema(s))
-    delete this.pluginSchemas[pluginData.name]
+    const history = { action: 'uninstall', name: pluginData.name, userId: options.userId, fromVersion: pluginData.version }
+    try {
+      const dependents = getPluginDependents(await this.find(), pluginData.name)
+      // nothing is pruned until every check has passed, so the checks disregard the courses pruning would remove
+      const courses = await this.getRetainedPluginUses(pluginData, options.pruneUnused)
+      history.courses = courses.map(c => c._id)
+      if (courses.length) {
+        throw this.app.errors.CONTENTPLUGIN_IN_USE.setData({ courses })
+      }
+      if (dependents.length) {
+        if (!options.cascade) {
+          throw this.app.errors.CONTENTPLUGIN_HAS_DEPENDENTS
+            .setData({ name: pluginData.name, dependents: dependents.map(d => d.name) })
+        }
+        // check everything first so a dependant in use doesn't leave the cascade half-finished
+        for (const d of dependents) {
+          const courses = await this.getRetainedPluginUses(d, options.pruneUnused)
+          if (courses.length) throw this.app.errors.CONTENTPLUGIN_IN_USE.setData({ courses })
+        }
+      }
+      // dependants first (the plugin is only left with dependants here if cascading), so that every plugin being
+      // removed can veto the uninstall before anything is pruned or removed
+      const cascade = [...dependents, pluginData]
+      for (const p of cascade) {
+        await this.preUninstallHook.invoke(p)
+      }
+      if (options.pruneUnused) {
+        // dependants first, as a plugin can't be removed from a course while a dependant is enabled there
+        for (const p of cascade) {
+          await options.onProgress?.('prune', { name: p.name })
+          await this.pruneUnusedPluginUses(p._id, { log: options.log })
+        }
+      }
+      for (const d of dependents) {
+        await this.uninstallPlugin(d, options, { action: 'uninstall', name: d.name, userId: options.userId, fromVersion: d.version, courses: [] })
+      }
+    } catch (e) {
+      await this.recordHistory(history, e)
+      throw e
+    }
+    return this.uninstallPlugin(pluginData, options, history, mongoOptions)
+  }
 
-    await this.framework.runCliCommand('uninstallPlugins', { plugins: [pluginData.name] })
-    this.log('info', `successfully removed plugin ${pluginData.name}`)
-    return super.delete(query, options, mongoOptions)
+  /**
+   * Removes a plugin from the framework and the DB, once it has passed the checks made by delete
+   * @param {Object} pluginData Plugin DB data
+   * @param {Object} options Options passed to delete
+   * @param {Object} history The history entry to record for the uninstall
+   * @param {Object} [mongoOptions] Options to be passed to the MongoDB function
+   * @return {Promise} Resolves with DB data
+   */
+  async uninstallPlugin (pluginData, options, history, mongoOptions) {
+    try {
+      await options.onProgress?.('uninstall', { name: pluginData.name })
+      // unregister any schemas
+      const jsonschema = await this.app.waitForModule('jsonschema')
+      const schemas = this.pluginSchemas[pluginData.name] ?? {}
+      Object.keys(schemas).forEach(s => jsonschema.deregisterSchema(s))
+      delete this.pluginSchemas[pluginData.name]
+
+      await this.framework.runCliCommand('uninstallPlugins', { plugins: [pluginData.name] })
+      this.getLogger(options)('info', `successfully removed plugin ${pluginData.name}`)
+      const result = await super.delete({ _id: pluginData._id }, options, mongoOptions)
+      await this.recordHistory(history)
+      await this.invokePostHook(this.postUninstallHook, pluginData)
+      return result
+    } catch (e) {
+      await this.recordHistory(history, e)
+      throw e
+    }
   }
 
   /**
@@ -150,6 +560,59 @@ class ContentPluginModule extends AbstractApiModule {
       this.processPluginSchemas()
     ])
     results.forEach(r => r.status === 'rejected' && this.log('error', r.reason))
+    try {
+      await this.reconcileDeclaredPlugins()
+    } catch (e) {
+      this.log('error', e)
+    }
+    try {
+      const failures = await this.checkPluginIntegrity()
+      failures.forEach(f => this.log('error', 'PLUGIN_INTEGRITY_FAIL', f.name, f.status))
+    } catch (e) {
+      this.log('error', e)
+    }
+  }
+
+  /**
+   * Brings the installed plugins in line with the plugin set declared in the `plugins` config option: declared plugins
+   * which are missing or outside their version range are installed (updating or downgrading as needed), and their
+   * flags are set. Failures are logged rather than thrown, so that a bad declaration can't stop the app from starting.
+   * @return {Promise}
+   */
+  async reconcileDeclaredPlugins () {
+    const { install, flags } = diffDeclaredPlugins(this.getConfig('plugins'), await this.find())
+    for (const { name, range, installedVersion } of install) {
+      this.log('info', 'PLUGIN_RECONCILE', name, installedVersion ?? 'not installed', '->', range)
+      try {
+        await this.installPlugins([[name, range]], { allowDowngrade: true, strict: true })
+      } catch (e) {
+        this.log('error', 'PLUGIN_RECONCILE_FAIL', name, e?.data?.errors?.[0] ?? e)
+      }
+    }
+    await this.applyPluginFlags(flags)
+  }
+
+  /**
+   * Checks the files of every local plugin against the integrity hash recorded when it was installed. Plugins installed
+   * before hashes were recorded can't be checked, so are skipped.
+   * @return {Promise<Array<Object>>} Plugins whose files have been modified or are missing, as `{ _id, name, version, status, expected, actual }`
+   */
+  async checkPluginIntegrity () {
+    const pluginDir = this.getConfig('pluginDir')
+    const failures = []
+    for (const p of await this.find({ isLocalInstall: true })) {
+      if (!p.integrity) continue
+      let actual = null
+      try {
+        actual = await hashPluginDir(path.join(pluginDir, p.name))
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e
+      }
+      if (actual !== p.integrity) {
+        failures.push({ _id: p._id, name: p.name, version: p.version, status: actual ? 'modified' : 'missing', expected: p.integrity, actual })
+      }
+    }
+    return failures
   }
 
   /**
@@ -185,24 +648,32 @@ class ContentPluginModule extends AbstractApiModule {
       }
       const pluginDir = this.getConfig('pluginDir')
       const pluginPath = path.join(pluginDir, p.name)
+      let sourcePath = pluginPath
+      let integrity = p.integrity
       // Check if the main plugin directory exists
       try {
         await fs.access(pluginPath)
-        return `${p.name}@${pluginPath}`
       } catch (e) {
         // Check for backups
         if (e.code && e.code !== 'ENOENT' && e.code !== 'ENOTDIR') {
           this.log('warn', `Unexpected error accessing ${pluginPath}: ${e.code}`)
         }
         const mostRecentBackup = await this.getMostRecentBackup(pluginDir, p.name)
-        if (mostRecentBackup) {
-          return `${p.name}@${mostRecentBackup}`
+        if (!mostRecentBackup) {
+          // No backup found, return the standard path (will likely fail, but consistent with original behavior)
+          return `${p.name}@${pluginPath}`
         }
-        // No backup found, return the standard path (will likely fail, but consistent with original behavior)
-        return `${p.name}@${pluginPath}`
+        sourcePath = mostRecentBackup
+        integrity = (await readBackupManifest(pluginDir))[p.name]?.backups.find(b => b.dir === path.basename(mostRecentBackup))?.integrity
       }
+      // don't reinstall files which have been modified since they were installed
+      if (integrity && integrity !== await hashPluginDir(sourcePath)) {
+        this.log('error', 'PLUGIN_INTEGRITY_FAIL', p.name, sourcePath)
+        return null
+      }
+      return `${p.name}@${sourcePath}`
     }))
-    return pluginsWithPaths
+    return pluginsWithPaths.filter(Boolean)
   }
 
   /**
@@ -276,22 +747,213 @@ class ContentPluginModule extends AbstractApiModule {
   }
 
   /**
-   * Retrieves the courses in which a plugin is used
+   * Retrieves the courses in which a plugin is used, i.e. whose config's _enabledPlugins contains it
    * @param {String} pluginId Plugin _id
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeContent] Also add the `contentCount` and `contentIds` of the content items in
+   * each course which actually use the plugin (see buildPluginUsageQuery)
+   * @param {Number} [options.skip] Number of courses to skip
+   * @param {Number} [options.limit] Maximum number of courses to return
    * @returns {Promise} Resolves with an array of course data
    */
-  async getPluginUses (pluginId) {
-    const [{ name }] = await this.find({ _id: pluginId })
+  async getPluginUses (pluginId, options = {}) {
+    const plugin = await this.findOne({ _id: pluginId })
+    const [content, db] = await this.app.waitForModule('content', 'mongodb')
+    const courses = await db.getCollection(content.collectionName).aggregate([
+      ...this.getPluginUsesPipeline(plugin),
+      ...(options.skip ? [{ $skip: options.skip }] : []),
+      ...(options.limit ? [{ $limit: options.limit }] : [])
+    ]).toArray()
+    if (!options.includeContent) {
+      return courses
+    }
+    const query = buildPluginUsageQuery(plugin)
+    const items = query
+      ? await db.getCollection(content.collectionName)
+        .find({ _courseId: { $in: courses.map(c => c._id) }, ...query }, { projection: { _courseId: 1 } })
+        .toArray()
+      : []
+    return courses.map(c => {
+      const contentIds = items
+        .filter(i => i._courseId.toString() === c._id.toString())
+        .map(i => i._id.toString())
+      return { ...c, contentCount: contentIds.length, contentIds }
+    })
+  }
+
+  /**
+   * Counts the courses in which a plugin is used, as returned by getPluginUses
+   * @param {String} pluginId Plugin _id
+   * @returns {Promise<Number>}
+   */
+  async countPluginUses (pluginId) {
+    const plugin = await this.findOne({ _id: pluginId })
     const [content, db] = await this.app.waitForModule('content', 'mongodb')
-    return (db.getCollection(content.collectionName).aggregate([
-      { $match: { _type: 'config', _enabledPlugins: name } },
+    const [result] = await db.getCollection(content.collectionName)
+      .aggregate([...this.getPluginUsesPipeline(plugin), { $count: 'total' }])
+      .toArray()
+    return result?.total ?? 0
+  }
+
+  /**
+   * Builds the aggregation pipeline which finds the courses in which a plugin is used. Configs whose course or course
+   * creator no longer exists are left out, so anything paging through or counting the courses must do so after it.
+   * @param {Object} plugin Plugin DB data
+   * @returns {Array<Object>}
+   */
+  getPluginUsesPipeline (plugin) {
+    return [
+      { $match: { _type: 'config', _enabledPlugins: plugin.name } },
+      { $sort: { _courseId: 1 } },
       { $lookup: { from: 'content', localField: '_courseId', foreignField: '_id', as: 'course' } },
       { $unwind: '$course' },
       { $replaceRoot: { newRoot: '$course' } },
       { $lookup: { from: 'users', localField: 'createdBy', foreignField: '_id', as: 'createdBy' } },
       { $project: { title: 1, createdBy: { $map: { input: '$createdBy', as: 'user', in: '$$user.email' } } } },
       { $unwind: '$createdBy' }
-    ])).toArray()
+    ]
+  }
+
+  /**
+   * Retrieves the config of a single course (see getCourseConfig)
+   * @param {String} courseId _id of the course
+   * @param {external:ExpressRequest} [req] The request being handled, whose user must have access to the course
+   * @returns {Promise<Object>} Resolves with the course config
+   */
+  async getCourseConfig (courseId, req) {
+    return getCourseConfig(this, courseId, req)
+  }
+
+  /**
+   * Retrieves the content items in a single course which use a plugin (see buildPluginUsageQuery)
+   * @param {Object} plugin Plugin DB data
+   * @param {String} courseId _id of the course
+   * @returns {Promise<Array<String>>} Resolves with the _ids of the content items
+   */
+  async getCourseContentUsingPlugin (plugin, courseId) {
+    const query = buildPluginUsageQuery(plugin)
+    if (!query) {
+      return []
+    }
+    const content = await this.app.waitForModule('content')
+    return (await content.find({ _courseId: courseId, ...query })).map(c => c._id.toString())
+  }
+
+  /**
+   * Enables a plugin for a single course, by adding it (and any of its pluginDependencies which aren't already
+   * enabled) to the course config's _enabledPlugins. As a course has a single theme and menu, enabling a theme or
+   * menu replaces the course's current one, and sets it as the config's `_theme` or `_menu`.
+   * @param {String} _id The _id for the plugin
+   * @param {String} courseId _id of the course
+   * @param {Object} [options]
+   * @param {external:ExpressRequest} [options.req] The request being handled, whose user must have access to the course
+   * @returns {Promise<Object>} Resolves with the course's new `_enabledPlugins`, the plugins which were `added`, and
+   * any theme or menu which was `removed`
+   */
+  async enablePluginForCourse (_id, courseId, options = {}) {
+    const plugin = await this.findOne({ _id })
+    if (plugin.isEnabled === false) {
+      throw this.app.errors.CONTENTPLUGIN_DISABLED.setData({ names: [plugin.name] })
+    }
+    const config = await this.getCourseConfig(courseId, options.req)
+    const installed = await this.find()
+    const { plugins, missing, unsatisfied, disabled } = resolveCoursePlugins(plugin.name, installed)
+    if (missing.length || unsatisfied.length) {
+      throw this.app.errors.CONTENTPLUGIN_DEPENDENCY_UNSATISFIED
+        .setData({ name: plugin.name, dependencies: [...missing, ...unsatisfied] })
+    }
+    if (disabled.length) {
+      throw this.app.errors.CONTENTPLUGIN_DISABLED.setData({ names: disabled })
+    }
+    const enabled = config._enabledPlugins ?? []
+    const added = plugins.filter(p => !enabled.includes(p))
+    const isSingleType = SINGLE_TYPES.includes(plugin.type)
+    const removed = isSingleType
+      ? installed.filter(p => p.type === plugin.type && p.name !== plugin.name && enabled.includes(p.name)).map(p => p.name)
+      : []
+    for (const name of removed) {
+      const dependents = getPluginDependents(installed.filter(p => enabled.includes(p.name)), name)
+      if (dependents.length) {
+        throw this.app.errors.CONTENTPLUGIN_HAS_DEPENDENTS
+          .setData({ name, dependents: dependents.map(d => d.name) })
+      }
+    }
+    const _enabledPlugins = [...enabled.filter(name => !removed.includes(name)), ...added]
+    const update = { _enabledPlugins }
+    if (isSingleType) update[`_${plugin.type}`] = plugin.name
+    if (added.length || removed.length || (isSingleType && config[`_${plugin.type}`] !== plugin.name)) {
+      const content = await this.app.waitForModule('content')
+      await content.update({ _id: config._id }, update)
+    }
+    return { courseId, _enabledPlugins, added, removed }
+  }
+
+  /**
+   * Disables a plugin for a single course, by removing it from the course config's _enabledPlugins. Refused while any
+   * other plugin enabled in the course depends on it, or any content in the course uses it.
+   * @param {String} _id The _id for the plugin
+   * @param {String} courseId _id of the course
+   * @param {Object} [options]
+   * @param {Boolean} [options.dryRun] Run the checks without changing the course config
+   * @param {external:ExpressRequest} [options.req] The request being handled, whose user must have access to the course
+   * @returns {Promise<Object>} Resolves with the course's new `_enabledPlugins`, and the plugins which were `removed`
+   */
+  async disablePluginForCourse (_id, courseId, options = {}) {
+    const plugin = await this.findOne({ _id })
+    const config = await this.getCourseConfig(courseId, options.req)
+    const enabled = config._enabledPlugins ?? []
+    if (!enabled.includes(plugin.name)) {
+      return { courseId, _enabledPlugins: enabled, removed: [] }
+    }
+    const dependents = getPluginDependents((await this.find()).filter(p => enabled.includes(p.name)), plugin.name)
+    if (dependents.length) {
+      throw this.app.errors.CONTENTPLUGIN_HAS_DEPENDENTS
+        .setData({ name: plugin.name, dependents: dependents.map(d => d.name) })
+    }
+    const contentIds = await this.getCourseContentUsingPlugin(plugin, courseId)
+    if (contentIds.length) {
+      throw this.app.errors.CONTENTPLUGIN_COURSE_IN_USE
+        .setData({ name: plugin.name, courseId, contentIds })
+    }
+    const _enabledPlugins = enabled.filter(name => name !== plugin.name)
+    if (!options.dryRun) {
+      const content = await this.app.waitForModule('content')
+      await content.update({ _id: config._id }, { _enabledPlugins })
+    }
+    return { courseId, _enabledPlugins, removed: [plugin.name] }
+  }
+
+  /**
+   * Removes a plugin from the _enabledPlugins of every course which enables it without any content using it (see
+   * getPluginUses). Each course goes through disablePluginForCourse, so courses in which another enabled plugin
+   * depends on it are skipped. Nothing is removed for plugins whose usage can't be detected (see
+   * buildPluginUsageQuery).
+   * @param {String} _id The _id for the plugin
+   * @param {Object} [options]
+   * @param {Boolean} [options.dryRun] Report the courses which would be changed without changing them
+   * @param {Function} [options.log] Logger for the operation (see getLogger)
+   * @returns {Promise<Object>} Resolves with the `removed` courses, and the `skipped` courses with the `error` which
+   * prevented the removal
+   */
+  async pruneUnusedPluginUses (_id, options = {}) {
+    const plugin = await this.findOne({ _id })
+    const report = { name: plugin.name, removed: [], skipped: [] }
+    if (!buildPluginUsageQuery(plugin)) {
+      return report
+    }
+    const unused = (await this.getPluginUses(_id, { includeContent: true })).filter(c => !c.contentCount)
+    for (const { _id: courseId, title } of unused) {
+      try {
+        await this.disablePluginForCourse(_id, courseId, { dryRun: options.dryRun })
+        report.removed.push({ _id: courseId, title })
+      } catch (e) {
+        report.skipped.push({ _id: courseId, title, error: { code: e.code, message: e.message } })
+      }
+    }
+    if (!options.dryRun && report.removed.length) {
+      this.getLogger(options)('info', `removed unused plugin ${plugin.name} from ${report.removed.length} course(s)`)
+    }
+    return report
   }
 
   /**
@@ -303,23 +965,75 @@ class ContentPluginModule extends AbstractApiModule {
     return getPluginReadmes(path.join(this.framework.path, 'src'), name)
   }
 
+  /**
+   * Locates the source files of an installed plugin: pluginDir for local installs, and the framework src directory
+   * for registry installs
+   * @param {Object} pluginData Plugin DB data
+   * @return {Promise<String|null>} Path to the plugin's source files, or null if they can't be found
+   */
+  async getPluginSourcePath (pluginData) {
+    if (pluginData.isLocalInstall) {
+      const pluginPath = path.join(this.getConfig('pluginDir'), pluginData.name)
+      try {
+        await fs.access(pluginPath)
+        return pluginPath
+      } catch (e) {
+        return null
+      }
+    }
+    return getPluginSourceDir(path.join(this.framework.path, 'src'), pluginData.name)
+  }
+
+  /**
+   * Creates a zip of an installed plugin which can be installed again by uploading it (e.g. on another instance)
+   * @param {String} _id The _id for the plugin
+   * @return {Promise<Object>} The plugin's DB data as `plugin`, and the zip as a readable stream as `zip`
+   */
+  async getPluginZip (_id) {
+    const plugin = await this.findOne({ _id })
+    const sourcePath = await this.getPluginSourcePath(plugin)
+    if (!sourcePath) {
+      throw this.app.errors.NOT_FOUND.setData({ type: 'plugin source', id: plugin.name })
+    }
+    // only used if the plugin's files don't include a manifest
+    const manifest = {
+      name: plugin.name,
+      displayName: plugin.displayName,
+      version: plugin.version,
+      framework: plugin.framework,
+      targetAttribute: plugin.targetAttribute,
+      [plugin.type]: plugin[plugin.type] ?? plugin.name,
+      ...(plugin.pluginDependencies && { pluginDependencies: plugin.pluginDependencies })
+    }
+    return { plugin, zip: await createPluginZip(sourcePath, { root: plugin.name, manifest }) }
+  }
+
   /**
    * Installs new plugins
    * @param {Array[]} plugins 2D array of strings in the format [pluginName, versionOrPath]
    * @param {Object} options
    * @param {Boolean} options.force Whether the plugin should be 'force' installed if version is lower than the existing
+   * @param {Boolean} options.allowDowngrade Whether the plugin can replace an existing version which isn't lower (unlike force, the framework check still applies)
    * @param {Boolean} options.strict Whether the function should fail on error
+   * @param {String} options.source Description of where local plugin files came from (e.g. the uploaded file name)
+   * @param {Function} options.onProgress Called with the step name (files, cli, database, schemas) and data as the install progresses
+   * @param {String} options.userId _id of the user performing the install (recorded in the plugin history)
+   * @param {Function} options.log Logger for the install (see getLogger)
    */
   async installPlugins (plugins, options = { strict: false, force: false }) {
+    const log = this.getLogger(options)
     const errors = []
     const installed = []
     for (const [name, versionOrPath] of plugins) {
+      const installedDependencies = []
       try {
-        const data = await this.installPlugin(name, versionOrPath, options)
-        installed.push(data)
-        this.log('info', 'PLUGIN_INSTALL', `${data.name}@${data.version}`)
+        const data = await this.installPlugin(name, versionOrPath, { ...options, installedDependencies })
+        installed.push(data, ...installedDependencies)
+        installedDependencies.forEach(d => log('info', 'PLUGIN_INSTALL_DEPENDENCY', `${d.name}@${d.version}`, 'for', data.name))
+        log('info', 'PLUGIN_INSTALL', `${data.name}@${data.version}`)
       } catch (e) {
-        this.log('warn', 'PLUGIN_INSTALL_FAIL', name, e?.data?.error ?? e)
+        log('warn', 'PLUGIN_INSTALL_FAIL', name, e?.data?.error ?? e)
+        await this.rollbackDependencies(installedDependencies, options)
         errors.push(e)
       }
     }
@@ -333,49 +1047,234 @@ class ContentPluginModule extends AbstractApiModule {
   /**
    * Installs a single plugin. Note: this function is called by installPlugins and should not be called directly.
    * @param {String} pluginName Name of the plugin to install
-   * @param {String} versionOrPath The semver-formatted version, or the path to the plugin source
+   * @param {String} versionOrPath The semver-formatted version (resolved from the offline plugin repository if it has a matching archive), or the path to the plugin source (either a directory or a `.zip`/`.tgz` archive)
    * @param {Object} options
    * @param {Boolean} options.force Whether the plugin should be 'force' installed if version is lower than the existing
+   * @param {Boolean} options.allowDowngrade Whether the plugin can replace an existing version which isn't lower (unlike force, the framework check still applies)
    * @param {Boolean} options.strict Whether the function should fail on error
+   * @param {Array<Object>} options.installedDependencies Populated with the DB data of any dependencies installed along with the plugin
+   * @param {Array<String>} options.dependencyChain Names of the dependants currently being installed (used to break dependency cycles)
+   * @param {Function} options.onProgress Called with the step name (files, cli, database, schemas) and data as the install progresses
+   * @param {String} options.userId _id of the user performing the install (recorded in the plugin history)
+   * @param {Function} options.log Logger for the install (see getLogger)
    * @returns Resolves with plugin DB data
    */
   async installPlugin (pluginName, versionOrPath, options = { strict: false, force: false }) {
-    const pluginData = await this.findOne({ name: String(pluginName) }, { includeUpdateInfo: true, strict: false })
-    const { name, version, sourcePath, isLocalInstall } = await this.processPluginFiles({ ...pluginData, sourcePath: versionOrPath })
-    const existingPlugin = await this.findOne({ name }, { strict: false })
+    const history = { action: 'install', name: pluginName, userId: options.userId }
+    let archiveDir, snapshotDir
+    try {
+      await options.onProgress?.('files', { name: pluginName })
+      const archive = await this.resolvePluginArchive(pluginName, versionOrPath)
+      if (archive) {
+        archiveDir = await this.extractPluginArchive(archive.file)
+      }
+      const localPath = archiveDir ?? versionOrPath
+      const isLocalInstall = localPath !== path.basename(localPath)
+      // local files are only read at this point: nothing is copied into pluginDir until every check has passed
+      const { pkg } = isLocalInstall ? await this.readPluginManifest(localPath) : {}
+      const registryInfo = isLocalInstall ? null : await this.getRegistryPluginInfo(pluginName, versionOrPath)
+      if (!isLocalInstall && !registryInfo) {
+        this.getLogger(options)('warn', 'PLUGIN_REGISTRY_INFO_FAIL', pluginName, versionOrPath)
+      }
+      const manifest = pkg ?? registryInfo?.manifest
+      const { name = pluginName, framework, targetAttribute, pluginDependencies } = manifest ?? {}
+      const version = pkg?.version ?? registryInfo?.version ?? versionOrPath
+      const existingPlugin = await this.findOne({ name: String(name) }, { strict: false })
+      Object.assign(history, { name, fromVersion: existingPlugin?.version, toVersion: version, source: archive?.isRepository ? 'repository' : isLocalInstall ? 'zip' : 'registry' })
 
-    if (existingPlugin) {
-      if (!options.force && semver.lte(version, existingPlugin.version)) {
-        throw this.app.errors.CONTENTPLUGIN_ALREADY_EXISTS
-          .setData({ name: existingPlugin.name, version: existingPlugin.version })
+      if (existingPlugin && semver.valid(version)) {
+        if (!options.force && !options.allowDowngrade && semver.lte(version, existingPlugin.version)) {
+          throw this.app.errors.CONTENTPLUGIN_ALREADY_EXISTS
+            .setData({ name: existingPlugin.name, version: existingPlugin.version })
+        }
       }
+      const isCompatible = isLocalInstall
+        ? isFrameworkCompatible(this.framework.version, framework)
+        : registryInfo?.isFrameworkCompatible ?? true // checked again once installed
+      if (!options.force && !isCompatible) {
+        throw this.app.errors.CONTENTPLUGIN_INCOMPAT_FW
+          .setData({ name, version, installedFramework: this.framework.version, requiredFramework: framework ?? null })
+      }
+      await this.preInstallHook.invoke({ name, version, framework, targetAttribute, pluginDependencies, isLocalInstall, existing: existingPlugin })
+      // known manifests (local files, or the newest registry release) can be checked (and their dependencies
+      // installed) before anything is installed
+      if (manifest) {
+        await this.checkTargetAttribute(name, targetAttribute)
+        await this.installPluginDependencies(name, pluginDependencies, options)
+      }
+      const { sourcePath, integrity } = isLocalInstall
+        ? await this.processPluginFiles({ name, sourcePath: localPath }, { source: archive?.isRepository ? path.basename(archive.file) : options.source, log: options.log })
+        : {}
+      await options.onProgress?.('cli', { name })
+      // an existing version is snapshotted so that it can be put back if the new version is rejected once installed
+      const pluginPath = existingPlugin && await getPluginSourceDir(path.join(this.framework.path, 'src'), name)
+      snapshotDir = pluginPath && await snapshotPluginDir(pluginPath)
+      const [data] = await this.framework.runCliCommand('installPlugins', { plugins: [`${name}@${sourcePath ?? version}`] })
+      const pluginInfo = await data.getInfo()
+      try {
+        if (!isLocalInstall && !registryInfo && !options.force && !isFrameworkCompatible(this.framework.version, pluginInfo?.framework)) {
+          throw this.app.errors.CONTENTPLUGIN_INCOMPAT_FW
+            .setData({ name, version: pluginInfo.version, installedFramework: this.framework.version, requiredFramework: pluginInfo.framework })
+        }
+        await this.checkTargetAttribute(name, pluginInfo?.targetAttribute)
+        if (!manifest) await this.installPluginDependencies(name, pluginInfo?.pluginDependencies, options)
+      } catch (e) {
+        if (existingPlugin) await this.rollbackPluginUpdate(existingPlugin, { pluginPath, snapshotDir, restoreRecord: false, reinstall: !isLocalInstall, log: options.log })
+        else await this.framework.runCliCommand('uninstallPlugins', { plugins: [name] })
+        throw e
+      }
+      await options.onProgress?.('database', { name })
+      const info = await this.insertOrUpdate({
+        ...pluginInfo,
+        type: await data.getType(),
+        isLocalInstall,
+        ...(isLocalInstall && { integrity })
+      })
+      if (!data.isInstallSuccessful) {
+        throw this.app.errors.CONTENTPLUGIN_CLI_INSTALL_FAILED
+          .setData({ name })
+      }
+      if (!info.targetAttribute) {
+        throw this.app.errors.CONTENTPLUGIN_ATTR_MISSING
+          .setData({ name })
+      }
+      await options.onProgress?.('schemas', { name })
+      await this.processPluginSchemas(data)
+      await this.recordHistory({ ...history, toVersion: info.version })
+      await this.invokePostHook(this.postInstallHook, info)
+      return info
+    } catch (e) {
+      await this.recordHistory(history, e)
+      throw e
+    } finally {
+      if (archiveDir) await fs.rm(archiveDir, { recursive: true, force: true })
+      if (snapshotDir) await fs.rm(snapshotDir, { recursive: true, force: true })
     }
-    const [data] = await this.framework.runCliCommand('installPlugins', { plugins: [`${name}@${sourcePath ?? version}`] })
-    const info = await this.insertOrUpdate({
-      ...(await data.getInfo()),
-      type: await data.getType(),
-      isLocalInstall
-    })
-    if (!data.isInstallSuccessful) {
-      throw this.app.errors.CONTENTPLUGIN_CLI_INSTALL_FAILED
-        .setData({ name })
-    }
-    if (!info.targetAttribute) {
-      throw this.app.errors.CONTENTPLUGIN_ATTR_MISSING
-        .setData({ name })
-    }
-    await this.processPluginSchemas(data)
-    return info
   }
 
   /**
-   * Creates a backup of an existing plugin directory with version information
-   * @param {String} pluginPath Path to the plugin directory
-   * @param {String} pluginName Name of the plugin
-   * @returns {Promise<String|null>} Path to the backup directory, or null if no backup was created
+   * Installs any of a plugin's pluginDependencies which are missing. Dependencies are resolved
+   * recursively (each dependency's own dependencies are installed before it is registered in
+   * the DB), so plugins are installed in dependency order.
+   * @param {String} name Name of the dependant plugin
+   * @param {Object<string,string>} dependencies The plugin's pluginDependencies
+   * @param {Object} options Options passed to installPlugin
+   * @returns {Promise}
    */
-  async backupPluginVersion (pluginPath, pluginName) {
-    return backupPluginVersion(pluginPath, pluginName, this.log.bind(this))
+  async installPluginDependencies (name, dependencies, options) {
+    const dependencyChain = [...(options.dependencyChain ?? []), name]
+    const { missing, unsatisfied } = resolvePluginDependencies(dependencies, await this.find())
+    if (unsatisfied.length) {
+      throw this.app.errors.CONTENTPLUGIN_DEPENDENCY_UNSATISFIED
+        .setData({ name, dependencies: unsatisfied })
+    }
+    // dependencies already in the chain are mid-install as a result of a circular dependency
+    for (const { name: depName, range } of missing.filter(d => !dependencyChain.includes(d.name))) {
+      const depData = await this.installPlugin(depName, range || '*', { ...options, force: false, allowDowngrade: false, dependencyChain })
+      options.installedDependencies?.push(depData)
+      if (range && !semver.satisfies(depData.version, range, { includePrerelease: true })) {
+        throw this.app.errors.CONTENTPLUGIN_DEPENDENCY_UNSATISFIED
+          .setData({ name, dependencies: [{ name: depName, range, installedVersion: depData.version }] })
+      }
+    }
+  }
+
+  /**
+   * Uninstalls dependencies which were installed as part of a failed install
+   * @param {Array<Object>} dependencies DB data for the installed dependencies, in install order
+   * @param {Object} [options]
+   * @param {Function} [options.log] Logger for the install (see getLogger)
+   * @returns {Promise}
+   */
+  async rollbackDependencies (dependencies, options = {}) {
+    for (const { _id, name } of [...dependencies].reverse()) {
+      try {
+        await this.delete({ _id }, { log: options.log })
+      } catch (e) {
+        this.getLogger(options)('warn', 'PLUGIN_DEPENDENCY_ROLLBACK_FAIL', name, e)
+      }
+    }
+  }
+
+  /**
+   * Checks that no other installed plugin uses the same targetAttribute, as plugins sharing
+   * a targetAttribute would overwrite each other's schema patches
+   * @param {String} name Name of the plugin being installed
+   * @param {String} targetAttribute The plugin's targetAttribute
+   * @returns {Promise}
+   */
+  async checkTargetAttribute (name, targetAttribute) {
+    if (!targetAttribute) {
+      return
+    }
+    const clash = (await this.find({ targetAttribute })).find(p => p.name !== name)
+    if (clash) {
+      throw this.app.errors.CONTENTPLUGIN_ATTR_CLASH
+        .setData({ name, targetAttribute, conflictingPlugin: clash.name })
+    }
+  }
+
+  /**
+   * Looks up the version of a registry plugin which the CLI would install for a version range, using the CLI's own
+   * registry lookup. The CLI picks the newest version in the range which supports the installed framework, and falls
+   * back to the newest version in the range if none do.
+   * @param {String} name Name of the plugin
+   * @param {String} [range] Version or semver range
+   * @returns {Promise<Object|null>} The resolved `version`, whether it `isFrameworkCompatible`, and its registry
+   * metadata as `manifest` (only known for the newest release, otherwise null), or null if the plugin can't be found in
+   * the registry
+   * @throws {AdaptError} CONTENTPLUGIN_NO_MATCHING_VERSION if no version in the registry matches the range
+   */
+  async getRegistryPluginInfo (name, range = '*') {
+    const { default: Plugin } = await import('adapt-cli/lib/integration/Plugin.js')
+    const plugin = new Plugin({ name, requestedVersion: range, cwd: this.framework.path })
+    try {
+      await plugin.fetchBowerInfo()
+      if (!plugin.isPresent) {
+        return null
+      }
+      const validRange = semver.validRange(range) ? range : '*'
+      const newestInRange = semver.maxSatisfying(plugin.sourceVersions ?? [], validRange, { includePrerelease: true })
+      if (!newestInRange && plugin.sourceVersions?.length) {
+        throw this.app.errors.CONTENTPLUGIN_NO_MATCHING_VERSION
+          .setData({ name, range })
+      }
+      await plugin.findCompatibleVersion(this.framework.version)
+      const version = plugin.matchedVersion ?? newestInRange ?? plugin.latestSourceVersion
+      return {
+        version,
+        isFrameworkCompatible: plugin.matchedVersion !== null,
+        manifest: version === plugin.latestSourceVersion ? plugin._sourceInfo : null
+      }
+    } finally {
+      // the CLI keeps every Plugin it creates in Plugin.instances, so the lookup's instance is removed again
+      const i = Plugin.instances?.indexOf(plugin) ?? -1
+      if (i !== -1) Plugin.instances.splice(i, 1)
+    }
+  }
+
+  /**
+   * Returns the registry metadata for a version of a plugin. This is only known for the latest
+   * version of an already installed plugin.
+   * @param {Object} pluginData Existing plugin DB data (including update info)
+   * @param {String} version Version of the plugin
+   * @returns {Object|undefined} The registry metadata, if known
+   */
+  getRegistryInfo (pluginData, version) {
+    const cliData = pluginData?._cliData
+    if (cliData && cliData.latestSourceVersion === version) {
+      return cliData._sourceInfo ?? undefined
+    }
+  }
+
+  /**
+   * Creates a backup of an existing plugin directory with version information
+   * @param {String} pluginPath Path to the plugin directory
+   * @param {String} pluginName Name of the plugin
+   * @returns {Promise<String|null>} Path to the backup directory, or null if no backup was created
+   */
+  async backupPluginVersion (pluginPath, pluginName) {
+    return backupPluginVersion(pluginPath, pluginName, this.log.bind(this))
   }
 
   /**
@@ -388,63 +1287,675 @@ class ContentPluginModule extends AbstractApiModule {
     return getMostRecentBackup(pluginDir, pluginName)
   }
 
+  /**
+   * Removes old plugin backups, keeping the number of backups set by maxPluginBackups
+   * @param {String} pluginDir Base directory containing plugins
+   * @param {String} pluginName Name of the plugin
+   * @returns {Promise}
+   */
   async cleanupOldPluginBackups (pluginDir, pluginName) {
-    return cleanupOldPluginBackups(pluginDir, pluginName, this.log.bind(this))
+    return cleanupOldPluginBackups(pluginDir, pluginName, this.log.bind(this), { maxBackups: this.getConfig('maxPluginBackups') })
   }
 
   /**
-   * Restores a plugin from the most recent backup
+   * Restores a plugin's files from a backup. Backups whose files don't match the integrity hash recorded for them are rejected.
    * @param {String} pluginName Name of the plugin to restore
+   * @param {String} [version] Version of the backup to restore (defaults to the most recent)
+   * @param {Object} [options]
+   * @param {Function} [options.log] Logger for the operation (see getLogger)
    * @returns {Promise<Object>} Resolves with restored plugin info
    */
-  async restorePluginFromBackup (pluginName) {
+  async restorePluginFromBackup (pluginName, version, options = {}) {
     const pluginDir = this.getConfig('pluginDir')
-    const result = await restorePluginFromBackup(pluginDir, pluginName, this.log.bind(this))
+    let result
+    try {
+      result = await restorePluginFromBackup(pluginDir, pluginName, this.getLogger(options), { version })
+    } catch (e) {
+      if (e.integrityMismatch) {
+        throw this.app.errors.CONTENTPLUGIN_INTEGRITY_MISMATCH
+          .setData({ name: pluginName, version, expected: e.expected, actual: e.actual })
+      }
+      throw e
+    }
     if (!result) {
       throw this.app.errors.NOT_FOUND
-        .setData({ type: 'backup', id: pluginName })
+        .setData({ type: 'backup', id: version ? `${pluginName}@${version}` : pluginName })
     }
     return result
   }
 
-  async processPluginFiles (pluginData) {
+  /**
+   * Lists the available backups of a plugin
+   * @param {String} _id The _id for the plugin
+   * @returns {Promise<Array<Object>>} Resolves with the backups, newest first
+   */
+  async getBackups (_id) {
+    const { name } = await this.findOne({ _id })
+    return listPluginBackups(this.getConfig('pluginDir'), name)
+  }
+
+  /**
+   * Restores a plugin from a backup, reinstalling it in the framework and re-syncing its DB data and schemas. As with
+   * an update, the current files are kept, and put back (along with the DB record and schemas) if any step fails.
+   * @param {String} _id The _id for the plugin
+   * @param {String} [version] Version of the backup to restore (defaults to the most recent)
+   * @param {Object} options
+   * @param {String} options.userId _id of the user performing the restore (recorded in the plugin history)
+   * @param {Function} options.log Logger for the restore (see getLogger)
+   * @returns {Promise<Object>} Resolves with the plugin DB data
+   */
+  async restorePlugin (_id, version, options = {}) {
+    const existing = await this.findOne({ _id })
+    const { name } = existing
+    const history = { action: 'restore', name, userId: options.userId, fromVersion: existing.version, source: 'backup' }
+    let snapshotDir, filesReplaced, recordReplaced
+    const pluginPath = await getPluginSourceDir(path.join(this.framework.path, 'src'), name)
     try {
-      return await processPluginFiles(pluginData, this.getConfig('pluginDir'), this.log.bind(this))
+      history.courses = (await this.getPluginUses(_id)).map(c => c._id)
+      snapshotDir = pluginPath && await snapshotPluginDir(pluginPath)
+      // the current files in pluginDir are backed up by the restore, so can be restored in turn if a later step fails
+      const restored = await this.restorePluginFromBackup(name, version, options)
+      filesReplaced = true
+      const [data] = await this.framework.runCliCommand('installPlugins', { plugins: [`${name}@${path.join(this.getConfig('pluginDir'), name)}`] })
+      if (!data?.isInstallSuccessful) {
+        throw this.app.errors.CONTENTPLUGIN_CLI_INSTALL_FAILED
+          .setData({ name })
+      }
+      recordReplaced = true
+      const info = await this.insertOrUpdate({
+        ...(await data.getInfo()),
+        type: await data.getType(),
+        isLocalInstall: true,
+        integrity: restored.integrity
+      })
+      await this.processPluginSchemas(data)
+      this.getLogger(options)('info', `successfully restored plugin ${info.name}@${info.version}`)
+      await this.recordHistory({ ...history, toVersion: info.version })
+      return info
     } catch (e) {
-      if (e.message?.startsWith('Invalid plugin zip')) {
-        throw this.app.errors.CONTENTPLUGIN_INVALID_ZIP
+      if (filesReplaced) {
+        this.getLogger(options)('error', `failed to restore plugin ${name}, rolling back to ${existing.version}, ${e}`)
+        await this.rollbackPluginUpdate(existing, {
+          pluginPath,
+          snapshotDir,
+          restoreRecord: recordReplaced,
+          reinstall: true,
+          restoreFiles: true,
+          log: options.log
+        })
       }
+      await this.recordHistory({ ...history, toVersion: version }, e)
       throw e
+    } finally {
+      if (snapshotDir) await fs.rm(snapshotDir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Generates a lockfile describing the installed plugins, which can be imported on another instance to install the
+   * same plugin set
+   * @return {Promise<Object>} The lockfile
+   */
+  async exportLockfile () {
+    const plugins = {}
+    for (const p of (await this.find()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const sourcePath = await this.getPluginSourcePath(p)
+      plugins[p.name] = {
+        version: p.version,
+        source: p.isLocalInstall ? 'local' : 'registry',
+        integrity: sourcePath ? await hashPluginDir(sourcePath) : null,
+        isEnabled: p.isEnabled ?? true,
+        isAddedByDefault: p.isAddedByDefault ?? false
+      }
     }
+    return { lockfileVersion: 1, framework: this.framework.version ?? null, createdAt: new Date().toISOString(), plugins }
   }
 
   /**
-   * Updates a single plugin
+   * Reconciles the installed plugins with a lockfile: missing plugins are installed, plugins with a different version
+   * are updated or downgraded, and the isEnabled and isAddedByDefault flags are applied. Installed plugins which aren't
+   * in the lockfile are left alone. Anything which can't be resolved is reported rather than thrown.
+   * @param {Object} lockfile The lockfile, as generated by exportLockfile
+   * @param {Object} options
+   * @param {Boolean} options.dryRun Only report the differences, without making any changes
+   * @param {Function} options.onProgress Called with the step name (plugins, flags) and data as the import progresses
+   * @param {String} options.userId _id of the user performing the import (recorded in the plugin history)
+   * @param {Function} options.log Logger for the import (see getLogger)
+   * @return {Promise<Object>} Resolves with the differences if dryRun is set, otherwise a report of the changes made
+   */
+  async importLockfile (lockfile, options = {}) {
+    const schema = await this.getSchema('contentpluginlockfile')
+    try {
+      await schema.validate(structuredClone(lockfile), { useDefaults: false })
+    } catch (e) {
+      throw this.app.errors.CONTENTPLUGIN_INVALID_LOCKFILE
+        .setData({ errors: e.data?.errors ?? e.message })
+    }
+    const diff = diffPluginLockfiles(lockfile, await this.exportLockfile())
+    if (options.dryRun) {
+      return diff
+    }
+    const report = {
+      installed: [],
+      flagsUpdated: [],
+      unresolved: diff.modified.map(m => ({ ...m, reason: 'modified' })),
+      extra: diff.extra
+    }
+    for (const { name, version, source, installedVersion } of [...diff.missing, ...diff.mismatched]) {
+      await options.onProgress?.('plugins', { name, version })
+      try {
+        const info = await this.installLockedPlugin(name, version, source, options)
+        if (info) report.installed.push({ name, version: info.version, fromVersion: installedVersion ?? null })
+        else report.unresolved.push({ name, version, reason: 'unavailable' })
+      } catch (e) {
+        const error = e.data?.errors?.[0] ?? e
+        report.unresolved.push({ name, version, reason: 'failed', error: { code: error.code, message: error.message } })
+      }
+    }
+    report.flagsUpdated = await this.applyPluginFlags(diff.flags, options)
+    return report
+  }
+
+  /**
+   * Sets the isEnabled and isAddedByDefault flags of installed plugins, recording each change in the plugin history.
+   * Plugins which aren't installed are skipped.
+   * @param {Array<Object>} flags The flags to set, as `{ name, ...flags }`
+   * @param {Object} options
+   * @param {Function} options.onProgress Called with the step name (flags) and data as the flags are applied
+   * @param {String} options.userId _id of the user making the change (recorded in the plugin history)
+   * @return {Promise<Array<Object>>} Resolves with the flags which were set
+   */
+  async applyPluginFlags (flags, options = {}) {
+    const applied = []
+    for (const { name, ...changes } of flags) {
+      const plugin = await this.findOne({ name }, { strict: false })
+      if (!plugin) continue
+      await options.onProgress?.('flags', { name })
+      await this.update({ _id: plugin._id }, changes)
+      await this.recordHistory({ action: 'patch', name, userId: options.userId, changes: Object.keys(changes) })
+      applied.push({ name, ...changes })
+    }
+    return applied
+  }
+
+  /**
+   * Installs the exact version of a plugin listed in a lockfile. Registry plugins are installed through the CLI (or
+   * from the offline plugin repository if it has a matching archive). Local plugins are restored from a backup if one
+   * exists, or installed from the offline plugin repository.
+   * @param {String} name Name of the plugin
+   * @param {String} version Version of the plugin
+   * @param {String} source Where the plugin should come from (registry or local)
+   * @param {Object} options Options passed to installPlugins
+   * @return {Promise<Object|null>} Resolves with the plugin DB data, or null if a local plugin isn't available
+   */
+  async installLockedPlugin (name, version, source, options) {
+    if (source === 'local') {
+      const existing = await this.findOne({ name }, { strict: false })
+      const backups = existing ? await listPluginBackups(this.getConfig('pluginDir'), name) : []
+      if (backups.some(b => b.version === version)) {
+        return this.restorePlugin(existing._id, version, { userId: options.userId, log: options.log })
+      }
+      if (!await this.findRepositoryPlugin(name, version)) {
+        return null
+      }
+    }
+    const [info] = await this.installPlugins([[name, version]], { allowDowngrade: true, strict: true, userId: options.userId, log: options.log })
+    return info
+  }
+
+  /**
+   * Reads the manifest of a plugin's source files without modifying them, checking that the files and plugin name are safe
+   * and that the manifest is valid
+   * @param {String} sourcePath Path to the plugin source files
+   * @returns {Promise<Object>} Resolves with the manifest as `pkg`, and the plugin root as `sourcePath`
+   */
+  async readPluginManifest (sourcePath) {
+    try {
+      await validatePluginFiles(sourcePath, this.getPluginFileLimits())
+      const manifest = await readPluginManifest(sourcePath)
+      if (!isSafePluginName(manifest.pkg.name)) {
+        throw Object.assign(new Error(`Invalid plugin zip: unsafe plugin name '${manifest.pkg.name}'`), { reason: 'unsafe plugin name' })
+      }
+      await this.validatePluginManifest(manifest.pkg)
+      return manifest
+    } catch (e) {
+      throw this.toInvalidZipError(e)
+    }
+  }
+
+  /**
+   * Validates a local plugin's manifest against the adaptpluginmanifest schema
+   * @param {Object} pkg The manifest data
+   * @returns {Promise}
+   * @throws {CONTENTPLUGIN_INVALID_MANIFEST} Listing every violation
+   */
+  async validatePluginManifest (pkg) {
+    const schema = await this.getSchema('adaptpluginmanifest')
+    try {
+      await schema.validate(structuredClone(pkg), { useDefaults: false })
+    } catch (e) {
+      throw this.app.errors.CONTENTPLUGIN_INVALID_MANIFEST
+        .setData({ name: pkg.name, errors: e.data?.errors ?? e.message })
+    }
+  }
+
+  /**
+   * Returns the configured limits for uploaded plugin files
+   * @returns {Object} Limits in the format expected by validatePluginFiles
+   */
+  getPluginFileLimits () {
+    return {
+      maxSize: this.getConfig('maxPluginUploadSize'),
+      maxFiles: this.getConfig('maxPluginUploadFiles'),
+      disallowedExtensions: this.getConfig('disallowedPluginFileTypes')
+    }
+  }
+
+  /**
+   * Converts errors thrown when reading plugin files into CONTENTPLUGIN_INVALID_ZIP
+   * @param {Error} e The original error
+   * @returns {Error} The error to throw
+   */
+  toInvalidZipError (e) {
+    if (!e.message?.startsWith('Invalid plugin zip')) {
+      return e
+    }
+    return e.reason
+      ? this.app.errors.CONTENTPLUGIN_INVALID_ZIP.setData({ reason: e.reason, file: e.file })
+      : this.app.errors.CONTENTPLUGIN_INVALID_ZIP
+  }
+
+  /**
+   * Processes local plugin source files, backing up any existing version and copying the new files into pluginDir
+   * @param {Object} pluginData Plugin metadata (must include name and sourcePath)
+   * @param {Object} options
+   * @param {String} options.source Description of where the files came from (recorded in the backup manifest)
+   * @param {Function} options.log Logger for the operation (see getLogger)
+   * @returns {Promise<Object>} Resolves with the plugin's package metadata
+   */
+  async processPluginFiles (pluginData, options = {}) {
+    try {
+      return await processPluginFiles(pluginData, this.getConfig('pluginDir'), this.getLogger(options), {
+        maxBackups: this.getConfig('maxPluginBackups'),
+        source: options.source,
+        limits: this.getPluginFileLimits(),
+        validateManifest: pkg => this.validatePluginManifest(pkg)
+      })
+    } catch (e) {
+      throw this.toInvalidZipError(e)
+    }
+  }
+
+  /**
+   * Updates a single plugin, from the offline plugin repository if it has a newer compatible version, otherwise through
+   * the CLI. The update is atomic: the previous plugin files, DB record and the content of any affected
+   * courses are snapshotted beforehand, and restored (along with the previous version and schemas) if any step fails.
    * @param {String} _id The _id for the plugin to update
+   * @param {Object} options
+   * @param {Function} options.onProgress Called with the step name (cli, database, schemas, migration) and data as the update progresses
+   * @param {String} options.userId _id of the user performing the update (recorded in the plugin history)
+   * @param {Function} options.log Logger for the update (see getLogger)
    * @return Resolves with update data
    */
-  async updatePlugin (_id) {
-    const [{ name }] = await this.find({ _id })
+  async updatePlugin (_id, options = {}) {
+    const log = this.getLogger(options)
+    const [existing] = await this.find({ _id })
+    const { name } = existing
+    const archive = await this.findRepositoryUpdate(existing)
+    const history = { action: 'update', name, userId: options.userId, fromVersion: existing.version, source: archive ? 'repository' : 'registry' }
+    try {
+      await this.prePluginUpdateHook.invoke(existing)
+    } catch (e) {
+      await this.recordHistory(history, e)
+      throw e
+    }
+    const fromPlugins = await this.readFrameworkPluginVersions()
+    const pluginPath = await getPluginSourceDir(path.join(this.framework.path, 'src'), name)
+    const snapshotDir = pluginPath && await snapshotPluginDir(pluginPath)
+    let step, courseContent, archiveDir, filesReplaced
+    const setStep = async (s, data) => {
+      step = s
+      await options.onProgress?.(s, { name, ...data })
+    }
+    try {
+      await setStep('cli')
+      let files
+      if (archive) { // installed like any other repository archive, as the CLI's updatePlugins needs the registry
+        archiveDir = await this.extractPluginArchive(archive.file)
+        files = await this.processPluginFiles({ name, sourcePath: archiveDir }, { source: path.basename(archive.file), log: options.log })
+        filesReplaced = true
+      }
+      const [pluginData] = files
+        ? await this.framework.runCliCommand('installPlugins', { plugins: [`${name}@${files.sourcePath}`] })
+        : await this.framework.runCliCommand('updatePlugins', { plugins: [name] })
+      if (files && !pluginData?.isInstallSuccessful) {
+        throw this.app.errors.CONTENTPLUGIN_CLI_INSTALL_FAILED
+          .setData({ name })
+      }
+      await setStep('database')
+      const p = await this.update({ name }, files
+        ? { ...(await pluginData.getInfo()), isLocalInstall: true, integrity: files.integrity }
+        : pluginData._sourceInfo)
+      history.toVersion = p.version
+      await setStep('schemas')
+      await this.processPluginSchemas(pluginData)
+      const toPlugins = await this.readFrameworkPluginVersions()
+      const courses = await this.getPluginUses(_id)
+      history.courses = courses.map(c => c._id)
+      courseContent = { collectionName: `${this.collectionName}snapshot-${randomUUID()}`, courseIds: [] }
+      await setStep('migration', { migrated: 0, total: courses.length })
+      // courses are migrated individually so that progress can be reported. Each is snapshotted just before its
+      // migration, so a failure only restores the courses which have been touched, and can't undo any edits made to
+      // the others while earlier courses were migrating
+      for (const [i, course] of courses.entries()) {
+        courseContent.courseIds.push(course._id)
+        await this.snapshotCourseContent(course._id, courseContent.collectionName)
+        await this.framework.migrateCourses({
+          fromPlugins,
+          toPlugins,
+          courseIds: [course._id]
+        })
+        await setStep('migration', { courseId: course._id, migrated: i + 1, total: courses.length })
+      }
+      log('info', `successfully updated plugin ${p.name}@${p.version}`)
+      await this.recordHistory(history)
+      await this.invokePostHook(this.postPluginUpdateHook, p, existing)
+      return p
+    } catch (e) {
+      log('error', `failed to update plugin ${name} (${step}), rolling back to ${existing.version}, ${e}`)
+      await this.rollbackPluginUpdate(existing, {
+        pluginPath,
+        snapshotDir,
+        restoreRecord: step !== 'cli',
+        reinstall: step !== 'cli' || filesReplaced,
+        restoreFiles: filesReplaced,
+        courseContent,
+        log: options.log
+      })
+      const error = this.app.errors.CONTENTPLUGIN_UPDATE_FAILED
+        .setData({ name, step, error: e.message })
+      await this.recordHistory(history, error)
+      throw error
+    } finally {
+      if (snapshotDir) await fs.rm(snapshotDir, { recursive: true, force: true })
+      if (archiveDir) await fs.rm(archiveDir, { recursive: true, force: true })
+      if (courseContent) await this.dropCourseSnapshots(courseContent.collectionName)
+    }
+  }
+
+  /**
+   * Reads the versions of the plugins installed in the framework, in the form expected by the framework's
+   * migrateCourses
+   * @return {Promise<Object>}
+   */
+  async readFrameworkPluginVersions () {
     const { readFrameworkPluginVersions } = await import('adapt-authoring-adaptframework')
-    const fromPlugins = await readFrameworkPluginVersions(this.framework.path)
-    const [pluginData] = await this.framework.runCliCommand('updatePlugins', { plugins: [name] })
-    const p = await this.update({ name }, pluginData._sourceInfo)
-    await this.processPluginSchemas(pluginData)
-    const toPlugins = await readFrameworkPluginVersions(this.framework.path)
-    const courses = await this.getPluginUses(_id)
-    if (courses.length) {
-      await this.framework.migrateCourses({
-        fromPlugins,
-        toPlugins,
-        courseIds: courses.map(c => c._id)
+    return readFrameworkPluginVersions(this.framework.path)
+  }
+
+  /**
+   * Finds the archive in the offline plugin repository which an update should install, if the repository has the
+   * plugin (in which case its update info comes from there, see getRepositoryUpdateInfo)
+   * @param {Object} pluginData Plugin DB data
+   * @return {Promise<Object|null>} The archive as `{ name, version, file }`, or null if the update should go through the
+   * registry
+   */
+  async findRepositoryUpdate (pluginData) {
+    const archives = await this.getRepositoryPlugins()
+    if (!archives.some(a => a.name === pluginData.name)) {
+      return null
+    }
+    const { canBeUpdated, latestCompatibleVersion } = await this.getRepositoryUpdateInfo(pluginData, archives)
+    return canBeUpdated ? this.findRepositoryPlugin(pluginData.name, latestCompatibleVersion) : null
+  }
+
+  /**
+   * Builds the query matching every content item in a set of courses (including the courses themselves)
+   * @param {Array<String>} courseIds _ids of the courses
+   * @return {Object} The query
+   */
+  getCourseContentQuery (courseIds) {
+    return { $or: [{ _id: { $in: courseIds } }, { _courseId: { $in: courseIds } }] }
+  }
+
+  /**
+   * Copies the content of a course into a snapshot collection, so that it can be put back if a migration fails. The
+   * copy is made by the DB, so the content is never held in memory.
+   * @param {String} courseId _id of the course
+   * @param {String} collectionName Name of the snapshot collection
+   * @return {Promise}
+   */
+  async snapshotCourseContent (courseId, collectionName) {
+    const [content, db] = await this.app.waitForModule('content', 'mongodb')
+    await db.getCollection(content.collectionName)
+      .aggregate([{ $match: this.getCourseContentQuery([courseId]) }, { $merge: { into: collectionName } }])
+      .toArray()
+  }
+
+  /**
+   * Replaces the content of a course with its copy in a snapshot collection (see snapshotCourseContent). The raw
+   * collection is written to, so that content hooks aren't run again for data which has already been validated, and
+   * within a transaction where the DB supports them, so that the course is never left half restored.
+   * @param {String} courseId _id of the course
+   * @param {String} collectionName Name of the snapshot collection
+   * @return {Promise}
+   */
+  async restoreCourseContent (courseId, collectionName) {
+    const [content, db] = await this.app.waitForModule('content', 'mongodb')
+    const collection = db.getCollection(content.collectionName)
+    const query = this.getCourseContentQuery([courseId])
+    await this.runInTransaction(async session => {
+      await collection.deleteMany(query, { session })
+      let batch = []
+      for await (const item of db.getCollection(collectionName).find(query, { session })) {
+        batch.push(item)
+        if (batch.length === 1000) {
+          await collection.insertMany(batch, { session })
+          batch = []
+        }
+      }
+      if (batch.length) await collection.insertMany(batch, { session })
+    })
+  }
+
+  /**
+   * Removes a snapshot collection created by snapshotCourseContent. Any errors are logged rather than thrown.
+   * @param {String} collectionName Name of the snapshot collection
+   * @return {Promise}
+   */
+  async dropCourseSnapshots (collectionName) {
+    const db = await this.app.waitForModule('mongodb')
+    try {
+      await db.getCollection(collectionName).drop()
+    } catch (e) {
+      if (e.codeName !== 'NamespaceNotFound') this.log('warn', `failed to remove course snapshots ${collectionName}, ${e}`)
+    }
+  }
+
+  /**
+   * Runs a function within a DB transaction, or without one if the DB doesn't support them (transactions need a
+   * replica set)
+   * @param {Function} fn Called with the session to pass to each DB operation (undefined without a transaction)
+   * @return {Promise} Resolves with the function's result
+   */
+  async runInTransaction (fn) {
+    const db = await this.app.waitForModule('mongodb')
+    const session = db.client?.startSession()
+    if (!session) return fn()
+    try {
+      return await session.withTransaction(() => fn(session))
+    } catch (e) {
+      if (e.codeName !== 'IllegalOperation') throw e
+      return fn()
+    } finally {
+      await session.endSession()
+    }
+  }
+
+  /**
+   * Puts a plugin back to its state before a failed update (or a failed install over an existing version, or a failed restore). Any errors are logged rather than thrown, so as not to mask the
+   * original failure.
+   * @param {Object} existing The plugin's DB record prior to the update
+   * @param {Object} options
+   * @param {String} [options.pluginPath] Location of the plugin in the framework
+   * @param {String} [options.snapshotDir] Location of the snapshot of the plugin's files
+   * @param {Boolean} [options.restoreRecord] Whether the DB record needs to be restored
+   * @param {Boolean} [options.reinstall] Whether the CLI has installed another version, which needs replacing
+   * @param {Boolean} [options.restoreFiles] Whether the plugin's files in pluginDir have been replaced
+   * @param {Object} [options.courseContent] The courses migrated so far (including any which failed) as `courseIds`, and
+   * the `collectionName` of the snapshot of their content taken before their migration
+   * @param {Function} [options.log] Logger for the operation (see getLogger)
+   * @return {Promise}
+   */
+  async rollbackPluginUpdate (existing, { pluginPath, snapshotDir, restoreRecord, reinstall, restoreFiles, courseContent, log }) {
+    log = this.getLogger({ log })
+    const { _id, ...record } = existing
+    try {
+      if (restoreFiles) { // puts back the files in pluginDir which were replaced (and backed up) by processPluginFiles
+        try {
+          if (existing.isLocalInstall) await this.restorePluginFromBackup(existing.name, existing.version, { log })
+          else await fs.rm(path.join(this.getConfig('pluginDir'), existing.name), { recursive: true, force: true })
+        } catch (e) {
+          log('warn', `failed to restore files of plugin ${existing.name}@${existing.version}, ${e}`)
+        }
+      }
+      if (reinstall) { // puts the previous version back in the framework manifest (the snapshot then restores the exact files)
+        const source = existing.isLocalInstall ? path.join(this.getConfig('pluginDir'), existing.name) : existing.version
+        try {
+          await this.framework.runCliCommand('installPlugins', { plugins: [`${existing.name}@${source}`] })
+        } catch (e) {
+          log('warn', `failed to reinstall plugin ${existing.name}@${existing.version}, ${e}`)
+        }
+      }
+      if (snapshotDir) await restorePluginSnapshot(snapshotDir, pluginPath)
+      if (restoreRecord) await this.update({ _id }, record)
+      for (const courseId of courseContent?.courseIds ?? []) {
+        try {
+          await this.restoreCourseContent(courseId, courseContent.collectionName)
+        } catch (e) {
+          log('warn', `failed to restore content of course ${courseId}, ${e}`)
+        }
+      }
+      await this.processPluginSchemas(await this.framework.runCliCommand('getPluginUpdateInfos', { plugins: [existing.name] }))
+      log('info', `restored plugin ${existing.name}@${existing.version}`)
+    } catch (e) {
+      log('error', `failed to roll back update of plugin ${existing.name}, ${e}`)
+    }
+  }
+
+  /**
+   * Works out what installing a plugin would do, without touching the disk, the DB or the framework
+   * @param {String} pluginName Name of the plugin to install
+   * @param {String} versionOrPath The semver-formatted version, or the path to the plugin source
+   * @return {Promise} Resolves with the install plan
+   */
+  async getInstallPlan (pluginName, versionOrPath) {
+    const archive = await this.resolvePluginArchive(pluginName, versionOrPath)
+    if (archive) {
+      const archiveDir = await this.extractPluginArchive(archive.file)
+      try {
+        return await this.getInstallPlan(pluginName, archiveDir)
+      } finally {
+        await fs.rm(archiveDir, { recursive: true, force: true })
+      }
+    }
+    if (versionOrPath === path.basename(versionOrPath)) { // registry install
+      const registryInfo = await this.getRegistryPluginInfo(pluginName, versionOrPath)
+      const name = registryInfo?.manifest?.name ?? pluginName
+      return this.createPluginPlan('install', await this.findOne({ name: String(name) }, { strict: false }), {
+        name,
+        version: registryInfo?.version ?? versionOrPath,
+        isLocalInstall: false,
+        manifest: registryInfo?.manifest,
+        isCompatible: registryInfo?.isFrameworkCompatible
       })
     }
-    this.log('info', `successfully updated plugin ${p.name}@${p.version}`)
-    return p
+    const { pkg, sourcePath } = await this.readPluginManifest(versionOrPath)
+    return this.createPluginPlan('install', await this.findOne({ name: pkg.name }, { strict: false }), {
+      name: pkg.name,
+      version: pkg.version,
+      isLocalInstall: true,
+      manifest: pkg,
+      schemas: await getPluginSchemaAnchors(sourcePath)
+    })
   }
 
   /**
-   * Express request handler for installing a plugin (also used for updating via zip upload).
+   * Works out what updating a plugin would do, without touching the disk, the DB or the framework
+   * @param {String} _id The _id for the plugin to update
+   * @return {Promise} Resolves with the update plan
+   */
+  async getUpdatePlan (_id) {
+    const pluginData = await this.findOne({ _id }, { includeUpdateInfo: true })
+    const version = pluginData.latestCompatibleVersion ?? pluginData.version
+    const plan = await this.createPluginPlan('update', pluginData, {
+      name: pluginData.name,
+      version,
+      isLocalInstall: pluginData.isLocalInstall,
+      manifest: version === pluginData.version ? pluginData : this.getRegistryInfo(pluginData, version),
+      courses: await this.getPluginUses(_id)
+    })
+    return { ...plan, canBeUpdated: pluginData.canBeUpdated ?? false }
+  }
+
+  /**
+   * Generates a report of the changes an install or update would make. Anything which can't be
+   * determined without installing the plugin (e.g. the manifest of a registry plugin which isn't
+   * installed yet) is reported as null.
+   * @param {String} action The operation being planned
+   * @param {Object} existing DB data for the currently installed version of the plugin
+   * @param {Object} plan
+   * @param {String} plan.name Name of the plugin
+   * @param {String} plan.version Version which would be installed
+   * @param {Boolean} plan.isLocalInstall Whether the plugin would be installed from local files
+   * @param {Object} [plan.manifest] Manifest of the version which would be installed
+   * @param {Boolean} [plan.isCompatible] Framework compatibility of the version, used when its manifest isn't known
+   * @param {Array<String>} [plan.schemas] Schemas which the new version would register
+   * @param {Array<Object>} [plan.courses] Courses which would be migrated
+   * @return {Promise} Resolves with the plan
+   */
+  async createPluginPlan (action, existing, { name, version, isLocalInstall, manifest, isCompatible = null, schemas, courses = [] }) {
+    const installedPlugins = (await this.find()).filter(p => p.name !== name)
+    const installedSchemas = existing ? await this.getInstalledSchemaAnchors(existing.name) : []
+    return {
+      action,
+      name,
+      version: version ?? null,
+      replacesVersion: existing?.version ?? null,
+      isLocalInstall,
+      framework: {
+        installed: this.framework.version ?? null,
+        required: manifest?.framework ?? null,
+        isCompatible: manifest ? isFrameworkCompatible(this.framework.version, manifest.framework) : isCompatible
+      },
+      dependencies: manifest
+        ? {
+            ...diffPluginDependencies(existing?.pluginDependencies, manifest.pluginDependencies),
+            ...resolvePluginDependencies(manifest.pluginDependencies, installedPlugins)
+          }
+        : null,
+      schemas: schemas
+        ? {
+            added: schemas.filter(s => !installedSchemas.includes(s)),
+            removed: installedSchemas.filter(s => !schemas.includes(s))
+          }
+        : null,
+      courses
+    }
+  }
+
+  /**
+   * Lists the schemas shipped with an installed plugin
+   * @param {String} name Name of the plugin
+   * @return {Promise<Array<String>>} The schema $anchors
+   */
+  async getInstalledSchemaAnchors (name) {
+    const dir = await getPluginSourceDir(path.join(this.framework.path, 'src'), name)
+    return dir ? getPluginSchemaAnchors(dir) : []
+  }
+
+  /**
+   * Express request handler for installing a plugin (also used for updating via zip or tarball upload).
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
@@ -452,16 +1963,30 @@ class ContentPluginModule extends AbstractApiModule {
   async installHandler (req, res, next) {
     try {
       const middleware = await this.app.waitForModule('middleware')
-      await middleware.fileUploadParser(middleware.zipTypes, { unzip: true, promisify: true })(req, res)
-      const [pluginData] = await this.installPlugins([
-        [
-          req.body.name,
-          req?.fileUpload?.files?.file?.[0]?.filepath ?? req.body.version
-        ]
-      ], {
+      // archives are left packed, so that installPlugin can validate every entry as it extracts them
+      await middleware.fileUploadParser([...middleware.zipTypes, ...this.tarballTypes], { unzip: false, promisify: true })(req, res)
+      const uploadPath = req?.fileUpload?.files?.file?.[0]?.filepath
+      const versionOrPath = uploadPath ?? req.body.version
+      if (req.query.dryRun === 'true') {
+        return res.send(await this.getInstallPlan(req.body.name, versionOrPath))
+      }
+      const plugins = [[req.body.name, versionOrPath]]
+      const options = {
         force: req.body.force === 'true' || req.body.force === true,
-        strict: true
-      })
+        strict: true,
+        source: req?.fileUpload?.files?.file?.[0]?.originalFilename,
+        userId: req.auth.user._id
+      }
+      if (req.query.async === 'true') {
+        // uploads are removed once the request has been handled, so the job needs its own copy (removed by the job)
+        const uploadDir = uploadPath && await fs.mkdtemp(path.join(os.tmpdir(), 'adapt-plugin-upload-'))
+        if (uploadDir) {
+          plugins[0][1] = path.join(uploadDir, path.basename(uploadPath))
+          await fs.copyFile(uploadPath, plugins[0][1])
+        }
+        return res.status(202).send(await this.jobs.add('install', { plugins, options, uploadDir }))
+      }
+      const [pluginData] = await this.jobs.runExclusive(() => this.installPlugins(plugins, options))
       res.status(this.mapStatusCode('post')).send(pluginData)
     } catch (error) {
       if (error.code === this.app.errors.CONTENTPLUGIN_INSTALL_FAILED.code) {
@@ -471,6 +1996,31 @@ class ContentPluginModule extends AbstractApiModule {
     }
   }
 
+  /**
+   * Express request handler for uninstalling a plugin
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async deleteHandler (req, res, next) {
+    try {
+      const options = {
+        schemaName: req.apiData.schemaName,
+        collectionName: req.apiData.collectionName,
+        cascade: req.query.cascade === 'true',
+        pruneUnused: req.query.pruneUnused === 'true',
+        userId: req.auth.user._id
+      }
+      if (req.query.async === 'true') {
+        return res.status(202).send(await this.jobs.add('uninstall', { _id: req.params._id, options }))
+      }
+      const pluginData = await this.jobs.runExclusive(() => this.delete({ _id: req.params._id }, options))
+      res.status(this.mapStatusCode('delete')).send(pluginData)
+    } catch (error) {
+      return next(error)
+    }
+  }
+
   /**
    * Express request handler for updating a plugin
    * @param {external:ExpressRequest} req
@@ -479,7 +2029,13 @@ class ContentPluginModule extends AbstractApiModule {
    */
   async updateHandler (req, res, next) {
     try {
-      const pluginData = await this.updatePlugin(req.params._id)
+      if (req.query.dryRun === 'true') {
+        return res.send(await this.getUpdatePlan(req.params._id))
+      }
+      if (req.query.async === 'true') {
+        return res.status(202).send(await this.jobs.add('update', { _id: req.params._id, userId: req.auth.user._id }))
+      }
+      const pluginData = await this.jobs.runExclusive(() => this.updatePlugin(req.params._id, { userId: req.auth.user._id }))
       res.status(this.mapStatusCode('put')).send(pluginData)
     } catch (error) {
       return next(error)
@@ -487,20 +2043,327 @@ class ContentPluginModule extends AbstractApiModule {
   }
 
   /**
-   * Express request handler for retrieving uses of a single plugin
+   * Express request handler for retrieving the status of a background job
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async jobHandler (req, res, next) {
+    try {
+      const job = await this.jobs.get(req.params._id)
+      if (!job) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'job', id: req.params._id })
+      }
+      res.send(job)
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler which streams the progress of a background job as Server-Sent Events. The stream starts
+   * with a `status` event containing the job data, and ends after the job's `completed` or `failed` event.
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async jobEventsHandler (req, res, next) {
+    const isFinished = status => status === 'completed' || status === 'failed'
+    let keepAlive
+    const send = ({ event, data }) => {
+      res.write(formatServerSentEvent(event, data))
+      if (isFinished(event)) {
+        clearInterval(keepAlive)
+        res.end()
+      }
+    }
+    // listen before reading the job so no events are missed, buffering any which arrive before the stream is open
+    const buffered = []
+    let isOpen = false
+    const listener = (_id, e) => {
+      if (_id === req.params._id) isOpen ? send(e) : buffered.push(e)
+    }
+    this.jobs.on('event', listener)
+    res.on('close', () => this.jobs.off('event', listener))
+    try {
+      const job = await this.jobs.get(req.params._id)
+      if (!job) {
+        throw this.app.errors.NOT_FOUND.setData({ type: 'job', id: req.params._id })
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      })
+      isOpen = true
+      send({ event: 'status', data: job })
+      if (isFinished(job.status)) {
+        return send({ event: job.status, data: job.status === 'completed' ? { result: job.result } : { error: job.error } })
+      }
+      // comment lines are ignored by clients, but stop proxies closing the connection while a step is quiet
+      keepAlive = setInterval(() => res.write(':keep-alive\n\n'), this.getConfig('jobEventsKeepAliveInterval'))
+      req.on('close', () => clearInterval(keepAlive))
+      buffered.forEach(send)
+    } catch (error) {
+      this.jobs.off('event', listener)
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for retrieving the audit history of all plugins
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async historyHandler (req, res, next) {
+    try {
+      const { plugin, user, action, from, to } = req.query
+      res.send(await this.getHistory({ plugin, user, action, from, to }))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for retrieving the audit history of a single plugin
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async pluginHistoryHandler (req, res, next) {
+    try {
+      const { name } = await this.findOne({ _id: req.params._id })
+      const { user, action, from, to } = req.query
+      res.send(await this.getHistory({ plugin: name, user, action, from, to }))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for reporting local plugins whose files have been modified or are missing
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async integrityHandler (req, res, next) {
+    try {
+      res.send(await this.checkPluginIntegrity())
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for listing the plugin versions available in the offline plugin repository
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async repositoryHandler (req, res, next) {
+    try {
+      const plugins = {}
+      for (const { name, version } of await this.getRepositoryPlugins()) {
+        (plugins[name] ??= { name, versions: [] }).versions.push(version)
+      }
+      res.send(Object.values(plugins))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for downloading a single plugin as a zip
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async downloadHandler (req, res, next) {
+    try {
+      const { plugin, zip } = await this.getPluginZip(req.params._id)
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${plugin.name}-${plugin.version}.zip"`
+      })
+      zip.on('error', e => {
+        this.log('error', 'PLUGIN_DOWNLOAD_FAIL', plugin.name, e)
+        res.destroy(e)
+      })
+      // stop reading the plugin files if the client goes away
+      res.on('close', () => !res.writableFinished && zip.abort())
+      zip.pipe(res)
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for exporting the installed plugins as a lockfile
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async exportHandler (req, res, next) {
+    try {
+      res.send(await this.exportLockfile())
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for reconciling the installed plugins with a lockfile
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async importHandler (req, res, next) {
+    try {
+      const options = { dryRun: req.query.dryRun === 'true', userId: req.auth.user._id }
+      if (req.query.async === 'true' && !options.dryRun) {
+        return res.status(202).send(await this.jobs.add('import', { lockfile: req.body, options }))
+      }
+      res.send(options.dryRun
+        ? await this.importLockfile(req.body, options)
+        : await this.jobs.runExclusive(() => this.importLockfile(req.body, options)))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for enabling a plugin for a single course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async enableCourseHandler (req, res, next) {
+    try {
+      res.send(await this.enablePluginForCourse(req.params._id, req.params.courseId, { req }))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for disabling a plugin for a single course
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async disableCourseHandler (req, res, next) {
+    try {
+      res.send(await this.disablePluginForCourse(req.params._id, req.params.courseId, { req }))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for removing a plugin from the courses which enable it without using it
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async pruneHandler (req, res, next) {
+    try {
+      res.send(await this.pruneUnusedPluginUses(req.params._id, { dryRun: req.query.dryRun === 'true' }))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for retrieving uses of a single plugin, paginated by course
    * @param {external:ExpressRequest} req
    * @param {external:ExpressResponse} res
    * @param {Function} next
    */
   async usesHandler (req, res, next) {
     try {
-      const data = await this.getPluginUses(req.params._id)
+      const mongoOpts = { page: req.query.page }
+      if (req.query.limit !== undefined) mongoOpts.limit = parseInt(req.query.limit)
+      // paginate the courses which use the plugin, rather than the plugin itself
+      await this.setUpTotalPagination(req, res, mongoOpts, await this.countPluginUses(req.params._id))
+      const data = await this.getPluginUses(req.params._id, { includeContent: true, skip: mongoOpts.skip, limit: mongoOpts.limit })
       res.status(this.mapStatusCode('put')).send(data)
     } catch (error) {
       return next(error)
     }
   }
 
+  /**
+   * Sets the pagination options and headers as setUpPagination does, for results which can't be counted with a single
+   * query, e.g. those of an aggregation
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Object} mongoOpts The MongoDB options
+   * @param {Number} total The total number of results
+   */
+  async setUpTotalPagination (req, res, mongoOpts, total) {
+    if (mongoOpts.limit === 0) {
+      delete mongoOpts.limit
+      return
+    }
+    const maxPageSize = this.getConfig('maxPageSize') ?? this.app.config.get('adapt-authoring-api.maxPageSize')
+    const pageSize = Math.min(mongoOpts.limit ?? this.getConfig('defaultPageSize') ?? this.app.config.get('adapt-authoring-api.defaultPageSize'), maxPageSize)
+    const pageTotal = Math.ceil(total / pageSize) || 1
+    let page = parseInt(mongoOpts.page)
+    if (isNaN(page) || page < 1) page = 1
+    if (page > pageTotal) page = pageTotal
+
+    res.set('X-Adapt-Page', page)
+    res.set('X-Adapt-PageSize', pageSize)
+    res.set('X-Adapt-PageTotal', pageTotal)
+    res.set('X-Adapt-Total', total)
+    if (pageTotal > 1) {
+      const baseUrl = req.originalUrl.split('?')[0]
+      const query = Object.entries(req.query)
+        .filter(([k]) => k !== 'page' && k !== 'limit')
+        .map(([k, v]) => `${k}=${v}`)
+        .concat([`limit=${pageSize}`])
+        .join('&')
+      const makeLink = (page, rel) => `<${baseUrl}?${query}&page=${page}>; rel="${rel}"`
+      res.set('Link', [
+        page > 1 && makeLink(1, 'first'),
+        page > 1 && makeLink(page - 1, 'prev'),
+        page < pageTotal && makeLink(page + 1, 'next'),
+        page < pageTotal && makeLink(pageTotal, 'last')
+      ].filter(Boolean).join(', '))
+    }
+    Object.assign(mongoOpts, { limit: pageSize, skip: (page - 1) * pageSize })
+  }
+
+  /**
+   * Express request handler for listing the backups of a single plugin
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async backupsHandler (req, res, next) {
+    try {
+      res.send(await this.getBackups(req.params._id))
+    } catch (error) {
+      return next(error)
+    }
+  }
+
+  /**
+   * Express request handler for restoring a plugin from a backup
+   * @param {external:ExpressRequest} req
+   * @param {external:ExpressResponse} res
+   * @param {Function} next
+   */
+  async restoreHandler (req, res, next) {
+    try {
+      const pluginData = await this.jobs.runExclusive(() => this.restorePlugin(req.params._id, req.body?.version, { userId: req.auth.user._id }))
+      res.status(this.mapStatusCode('post')).send(pluginData)
+    } catch (error) {
+      return next(error)
+    }
+  }
+
   /**
    * Express request handler for retrieving the README of every content plugin
    * @param {external:ExpressRequest} req
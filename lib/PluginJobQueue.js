@@ -0,0 +1,209 @@
+import { EventEmitter } from 'node:events'
+import { randomUUID } from 'node:crypto'
+import { inspect } from 'node:util'
+
+/**
+ * Converts a log argument to a string for a job's `log` event. Objects which can't be serialised as JSON (e.g. because
+ * they're circular) are inspected instead.
+ * @param {*} arg The log argument
+ * @return {String}
+ */
+function formatLogArg (arg) {
+  if (arg instanceof Error) return arg.message
+  if (typeof arg !== 'object' || arg === null) return String(arg)
+  try {
+    return JSON.stringify(arg)
+  } catch (e) {
+    return inspect(arg, { depth: 1, breakLength: Infinity })
+  }
+}
+/**
+ * Runs long-running plugin operations (install, update, uninstall, import) in the background, one at a time. Jobs are
+ * persisted to the DB, so their status is still available (and any queued jobs are still run) after a restart.
+ * Operations which aren't run as jobs share the same lock (see runExclusive), so no two operations ever change the
+ * installed plugins at once.
+ *
+ * Emits an `event` event with the job _id and `{ event, data }` as each job progresses, where event is one of
+ * `started`, `progress`, `log`, `completed` or `failed`.
+ * @memberof contentplugin
+ * @extends {EventEmitter}
+ */
+class PluginJobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collection The MongoDB collection used to store jobs
+   * @param {Object<string,Function>} options.handlers Maps job action to a function which runs the job. Handlers are called with the job's args, an onProgress(step, data) callback and the job's logger (see createJobLogger), and resolve with the job's result.
+   * @param {Function} [options.log] Logging function
+   */
+  constructor ({ collection, handlers, log }) {
+    super()
+    /**
+     * The MongoDB collection used to store jobs
+     * @type {Object}
+     */
+    this.collection = collection
+    /**
+     * Maps job action to its handler function
+     * @type {Object<string,Function>}
+     */
+    this.handlers = handlers
+    /**
+     * Logging function
+     * @type {Function}
+     */
+    this.log = log ?? (() => {})
+    /**
+     * Whether the queue is currently being processed
+     * @type {Boolean}
+     */
+    this.isProcessing = false
+    /**
+     * The job currently being run
+     * @type {Object|null}
+     */
+    this.currentJob = null
+    /**
+     * Settles once every operation holding or waiting for the lock has finished
+     * @type {Promise}
+     */
+    this.lock = Promise.resolve()
+  }
+
+  /**
+   * Runs a plugin operation once every operation already holding or waiting for the lock (including jobs) has finished
+   * @param {Function} fn The operation
+   * @return {Promise} Resolves with the operation's result
+   */
+  runExclusive (fn) {
+    const result = this.lock.then(() => fn())
+    this.lock = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * Fails any jobs which were interrupted by a restart (it isn't safe to blindly re-run a half-finished operation),
+   * and starts processing any queued jobs
+   * @return {Promise}
+   */
+  async init () {
+    await this.collection.updateMany({ status: 'running' }, {
+      $set: { status: 'failed', error: { message: 'Job was interrupted by a restart' }, finishedAt: new Date() }
+    })
+    this.process()
+  }
+
+  /**
+   * Adds a new job to the queue
+   * @param {String} action The job action (must have a matching handler)
+   * @param {Object} args Arguments passed to the job's handler
+   * @return {Promise<Object>} Resolves with the job data
+   */
+  async add (action, args = {}) {
+    if (!this.handlers[action]) {
+      throw new Error(`Unknown job action '${action}'`)
+    }
+    const job = {
+      _id: randomUUID(),
+      action,
+      args,
+      status: 'queued',
+      step: null,
+      result: null,
+      error: null,
+      createdAt: new Date()
+    }
+    await this.collection.insertOne(job)
+    this.process()
+    return job
+  }
+
+  /**
+   * Retrieves a single job
+   * @param {String} _id The job _id
+   * @return {Promise<Object|null>} Resolves with the job data, or null if no such job exists
+   */
+  async get (_id) {
+    return this.collection.findOne({ _id: String(_id) })
+  }
+
+  /**
+   * Runs queued jobs in the order they were added until the queue is empty. Only one job is run at a time, so calling
+   * this while the queue is already being processed has no effect.
+   * @return {Promise}
+   */
+  async process () {
+    if (this.isProcessing) return
+    this.isProcessing = true
+    try {
+      let job
+      while ((job = await this.collection.findOne({ status: 'queued' }, { sort: { createdAt: 1 } }))) {
+        await this.runExclusive(() => this.run(job))
+      }
+    } catch (e) {
+      this.log('error', 'PLUGIN_JOB_QUEUE_FAIL', e)
+    } finally {
+      this.isProcessing = false
+    }
+  }
+
+  /**
+   * Runs a single job, recording its progress and outcome
+   * @param {Object} job The job data
+   * @return {Promise}
+   */
+  async run (job) {
+    this.currentJob = job
+    await this.setJobData(job._id, { status: 'running', startedAt: new Date() })
+    this.emitJobEvent(job._id, 'started', { action: job.action })
+    try {
+      const result = await this.handlers[job.action](job.args, async (step, data = {}) => {
+        await this.setJobData(job._id, { step, progress: data })
+        this.emitJobEvent(job._id, 'progress', { step, ...data })
+      }, this.createJobLogger(job))
+      await this.setJobData(job._id, { status: 'completed', result, finishedAt: new Date() })
+      this.currentJob = null
+      this.emitJobEvent(job._id, 'completed', { result })
+    } catch (e) {
+      this.log('warn', 'PLUGIN_JOB_FAIL', job.action, job._id, e)
+      const error = { code: e.code, statusCode: e.statusCode, message: e.message, data: e.data }
+      await this.setJobData(job._id, { status: 'failed', error, finishedAt: new Date() })
+      this.currentJob = null
+      this.emitJobEvent(job._id, 'failed', { error })
+    }
+  }
+
+  /**
+   * Creates the logger for a single job, which logs as normal and also passes each line on to the job's listeners.
+   * Only lines logged through it are passed on, so nothing logged by other requests while the job runs is leaked.
+   * @param {Object} job The job data
+   * @return {Function} Called with the log level and the log arguments
+   */
+  createJobLogger (job) {
+    return (level, ...args) => {
+      this.log(level, ...args)
+      this.emitJobEvent(job._id, 'log', { level, message: args.map(formatLogArg).join(' ') })
+    }
+  }
+
+  /**
+   * Emits an event for a single job
+   * @param {String} _id The job _id
+   * @param {String} event The event name
+   * @param {Object} data The event data
+   */
+  emitJobEvent (_id, event, data) {
+    this.emit('event', _id, { event, data })
+  }
+
+  /**
+   * Updates the stored data for a job
+   * @param {String} _id The job _id
+   * @param {Object} data Data to set
+   * @return {Promise}
+   */
+  async setJobData (_id, data) {
+    await this.collection.updateOne({ _id }, { $set: data })
+  }
+}
+
+export default PluginJobQueue
@@ -5,3 +5,33 @@ export { getPluginReadmes } from './utils/getPluginReadmes.js'
 export { cleanupOldPluginBackups } from './utils/cleanupOldPluginBackups.js'
 export { restorePluginFromBackup } from './utils/restorePluginFromBackup.js'
 export { processPluginFiles } from './utils/processPluginFiles.js'
+export { isFrameworkCompatible } from './utils/isFrameworkCompatible.js'
+export { resolvePluginDependencies } from './utils/resolvePluginDependencies.js'
+export { getPluginDependents } from './utils/getPluginDependents.js'
+export { readPluginManifest } from './utils/readPluginManifest.js'
+export { getPluginSourceDir } from './utils/getPluginSourceDir.js'
+export { getPluginSchemaAnchors } from './utils/getPluginSchemaAnchors.js'
+export { diffPluginDependencies } from './utils/diffPluginDependencies.js'
+export { getPluginBackups } from './utils/getPluginBackups.js'
+export { readBackupManifest } from './utils/readBackupManifest.js'
+export { updateBackupManifest } from './utils/updateBackupManifest.js'
+export { listPluginBackups } from './utils/listPluginBackups.js'
+export { snapshotPluginDir } from './utils/snapshotPluginDir.js'
+export { restorePluginSnapshot } from './utils/restorePluginSnapshot.js'
+export { formatServerSentEvent } from './utils/formatServerSentEvent.js'
+export { buildHistoryQuery } from './utils/buildHistoryQuery.js'
+export { isSafePluginName } from './utils/isSafePluginName.js'
+export { validatePluginFiles } from './utils/validatePluginFiles.js'
+export { hashPluginDir } from './utils/hashPluginDir.js'
+export { listRepositoryPlugins } from './utils/listRepositoryPlugins.js'
+export { extractPluginArchive } from './utils/extractPluginArchive.js'
+export { readPluginArchiveEntries } from './utils/readPluginArchiveEntries.js'
+export { readPluginArchiveManifest } from './utils/readPluginArchiveManifest.js'
+export { createPluginZip } from './utils/createPluginZip.js'
+export { diffPluginFlags } from './utils/diffPluginFlags.js'
+export { diffPluginLockfiles } from './utils/diffPluginLockfiles.js'
+export { diffDeclaredPlugins } from './utils/diffDeclaredPlugins.js'
+export { resolveCoursePlugins } from './utils/resolveCoursePlugins.js'
+export { buildPluginUsageQuery } from './utils/buildPluginUsageQuery.js'
+export { validateEnabledPlugins, SINGLE_TYPES } from './utils/validateEnabledPlugins.js'
+export { getCourseConfig } from './utils/getCourseConfig.js'
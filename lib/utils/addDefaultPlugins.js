@@ -1,5 +1,9 @@
+import { SINGLE_TYPES } from './validateEnabledPlugins.js'
+
 /**
  * Adds default plugins to a course config's _enabledPlugins list.
+ * Plugins which have been disabled (`isEnabled: false`) are skipped, as are default themes and menus for courses which
+ * already enable one of their own.
  * Intended to be tapped into the content module's preInsertHook.
  * @param {Object} contentplugin The contentplugin module instance
  * @param {Object} data The insert data (mutated in place)
@@ -10,12 +14,17 @@ async function addDefaultPlugins (contentplugin, data, { schemaName }) {
   if (schemaName !== 'config') {
     return
   }
-  const defaultPlugins = await contentplugin.find({ isAddedByDefault: true })
+  const defaultPlugins = (await contentplugin.find({ isAddedByDefault: true })).filter(p => p.isEnabled !== false)
   if (!defaultPlugins.length) {
     return
   }
   if (!data._enabledPlugins) data._enabledPlugins = []
-  defaultPlugins.forEach(({ name }) => !data._enabledPlugins.includes(name) && data._enabledPlugins.push(name))
+  const enabledTypes = data._enabledPlugins.length
+    ? (await contentplugin.find({ name: { $in: data._enabledPlugins } })).map(p => p.type)
+    : []
+  defaultPlugins
+    .filter(({ type }) => !SINGLE_TYPES.includes(type) || !enabledTypes.includes(type))
+    .forEach(({ name }) => !data._enabledPlugins.includes(name) && data._enabledPlugins.push(name))
 }
 
 export { addDefaultPlugins }
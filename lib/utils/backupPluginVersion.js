@@ -1,16 +1,19 @@
 import fs from 'fs/promises'
 import path from 'path'
 import { readJson } from 'adapt-authoring-core'
+import { updateBackupManifest } from './updateBackupManifest.js'
 
 /**
  * Creates a versioned backup of an existing plugin directory.
  *
  * Reads the plugin version from package.json (or bower.json as fallback),
  * removes any stale backup at the target path, then renames the plugin
- * directory to `<pluginPath>-v<version>`.
+ * directory to `<pluginPath>-v<version>`. The backup's creation time, and the
+ * source and integrity hash recorded when the backed up files were installed,
+ * are recorded in the backup manifest.
  *
  * @param {string} pluginPath - Absolute path to the plugin directory
- * @param {string} pluginName - Human-readable plugin name (for logging)
+ * @param {string} pluginName - Name of the plugin (used for logging and as the backup manifest key)
  * @param {Function} [log] - Optional logging callback `(level, msg) => void`
  * @returns {Promise<string|null>} Path to the backup directory, or null if no backup was needed
  */
@@ -36,6 +39,14 @@ export async function backupPluginVersion (pluginPath, pluginName, log) {
   const backupDir = `${pluginPath}-v${existingVersion}`
   await fs.rm(backupDir, { recursive: true, force: true })
   await fs.rename(pluginPath, backupDir)
+  const dir = path.basename(backupDir)
+  await updateBackupManifest(path.dirname(pluginPath), pluginName, entry => ({
+    ...entry,
+    backups: [
+      { version: existingVersion, dir, createdAt: new Date().toISOString(), source: entry.source ?? null, integrity: entry.integrity ?? null },
+      ...entry.backups.filter(b => b.dir !== dir)
+    ]
+  }))
   if (log) log('info', `Backed up ${pluginName}@${existingVersion}`)
   return backupDir
 }
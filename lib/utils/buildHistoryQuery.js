@@ -0,0 +1,26 @@
+/**
+ * Converts plugin history filters into a MongoDB query
+ * @param {Object} filters
+ * @param {String} [filters.plugin] Plugin name
+ * @param {String} [filters.user] _id of the acting user
+ * @param {String} [filters.action] The action (install, update, patch, uninstall or restore)
+ * @param {String} [filters.from] Only include entries on or after this date (any format accepted by Date)
+ * @param {String} [filters.to] Only include entries on or before this date
+ * @returns {Object} The query
+ * @throws {Error} If a date filter is invalid (the error's `param` property names the filter)
+ */
+export function buildHistoryQuery ({ plugin, user, action, from, to } = {}) {
+  const query = {}
+  if (plugin) query.name = String(plugin)
+  if (user) query.userId = String(user)
+  if (action) query.action = String(action)
+  for (const [param, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+    if (!value) continue
+    const date = new Date(value)
+    if (isNaN(date)) {
+      throw Object.assign(new Error(`Invalid date '${value}'`), { param })
+    }
+    query.timestamp = { ...query.timestamp, [operator]: date }
+  }
+  return query
+}
@@ -0,0 +1,24 @@
+/**
+ * Builds a MongoDB query matching the content items which actually use a plugin: components by `_component`, menus
+ * and themes by the config's `_menu`/`_theme`, and extensions by their `targetAttribute` (either at the top level or
+ * under `_extensions`, where extension schemas add their properties).
+ *
+ * @param {Object} plugin - Plugin data (must include `name` and `type`, and `targetAttribute` for extensions)
+ * @returns {Object|null} The query, or null if the plugin's usage can't be detected from content
+ */
+export function buildPluginUsageQuery ({ name, type, targetAttribute }) {
+  switch (type) {
+    case 'component':
+      return { _component: name }
+    case 'menu':
+      return { _menu: name }
+    case 'theme':
+      return { _theme: name }
+    case 'extension':
+      return targetAttribute
+        ? { $or: [{ [targetAttribute]: { $exists: true } }, { [`_extensions.${targetAttribute}`]: { $exists: true } }] }
+        : null
+    default:
+      return null
+  }
+}
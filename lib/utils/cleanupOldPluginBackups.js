@@ -1,28 +1,32 @@
 import fs from 'fs/promises'
-import { getMostRecentBackup } from './getMostRecentBackup.js'
-import { globAbsolute } from './globAbsolute.js'
+import path from 'path'
+import { getPluginBackups } from './getPluginBackups.js'
+import { updateBackupManifest } from './updateBackupManifest.js'
 
 /**
- * Cleans up old plugin version backups, keeping only the most recent one.
+ * Cleans up old plugin version backups, keeping only the most recent ones.
  *
  * @param {string} pluginDir - Base directory containing plugins
  * @param {string} pluginName - Name of the plugin
  * @param {Function} [log] - Optional logging callback `(level, msg) => void`
+ * @param {Object} [options]
+ * @param {number} [options.maxBackups=1] - Number of backups to keep
  * @returns {Promise<void>}
  */
-export async function cleanupOldPluginBackups (pluginDir, pluginName, log) {
-  const pattern = `${pluginName}-v*`
-  const backups = await globAbsolute(pattern, pluginDir)
+export async function cleanupOldPluginBackups (pluginDir, pluginName, log, { maxBackups = 1 } = {}) {
+  const backups = await getPluginBackups(pluginDir, pluginName)
+  const backupsToRemove = backups.slice(maxBackups)
 
-  if (backups.length <= 1) {
+  if (!backupsToRemove.length) {
     return
   }
-
-  const mostRecent = await getMostRecentBackup(pluginDir, pluginName)
-
-  const backupsToRemove = backups.filter(backup => backup !== mostRecent)
   for (const backup of backupsToRemove) {
     await fs.rm(backup, { recursive: true })
     if (log) log('info', `Removed old backup: ${backup}`)
   }
+  const removed = backupsToRemove.map(b => path.basename(b))
+  await updateBackupManifest(pluginDir, pluginName, entry => ({
+    ...entry,
+    backups: entry.backups.filter(b => !removed.includes(b.dir))
+  }))
 }
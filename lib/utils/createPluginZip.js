@@ -0,0 +1,45 @@
+import archiver from 'archiver'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Lists the regular files in a directory, recursively. Anything else (symlinks, FIFOs, sockets, devices) is left out,
+ * as it could hang or escape the directory when read. `node_modules` directories are left out too.
+ * @param {string} dir Path to the directory
+ * @returns {Promise<Array<string>>} Paths of the files, relative to the directory
+ */
+async function listRegularFiles (dir) {
+  const files = []
+  const walk = async relDir => {
+    for (const entry of await fs.readdir(path.join(dir, relDir), { withFileTypes: true })) {
+      const relPath = path.join(relDir, entry.name)
+      if (entry.isDirectory() && entry.name !== 'node_modules') await walk(relPath)
+      else if (entry.isFile()) files.push(relPath)
+    }
+  }
+  await walk('')
+  return files
+}
+
+/**
+ * Creates a zip of a plugin's source files, under a single root folder, in a form which can be installed again by
+ * uploading it. Only regular files are added, and `node_modules` is left out, as uploads containing it are rejected.
+ * If the source has no `package.json` or `bower.json`, the given manifest is added as `package.json`.
+ * @param {string} dir - Path to the plugin's source files
+ * @param {Object} options
+ * @param {string} options.root - Name of the root folder in the zip
+ * @param {Object} [options.manifest] - Manifest to add if the source doesn't have one
+ * @returns {Promise<Object>} The zip, as a readable stream. Failures are emitted as `error` events, and the caller
+ * should `abort()` it if it isn't read to the end.
+ */
+export async function createPluginZip (dir, { root, manifest }) {
+  const files = await listRegularFiles(dir)
+  const zip = archiver('zip')
+  files.forEach(f => zip.file(path.join(dir, f), { name: path.posix.join(root, ...f.split(path.sep)) }))
+  if (manifest && !files.includes('package.json') && !files.includes('bower.json')) {
+    zip.append(JSON.stringify(manifest, null, 2), { name: path.posix.join(root, 'package.json') })
+  }
+  // errors are also emitted as error events, which the caller handles
+  zip.finalize().catch(() => {})
+  return zip
+}
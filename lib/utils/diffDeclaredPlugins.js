@@ -0,0 +1,27 @@
+import semver from 'semver'
+import { diffPluginFlags } from './diffPluginFlags.js'
+
+/**
+ * Compares the installed plugins with a declared plugin set (the `plugins` config option), working out which plugins
+ * need installing, updating or downgrading, and which need their flags changing. Plugins which aren't declared are
+ * ignored.
+ *
+ * @param {Object<string,string|Object>} declared - Maps plugin name to a semver range, or to `{ version, isEnabled, isAddedByDefault }`
+ * @param {Array<Object>} installed - DB data for the installed plugins
+ * @returns {{ install: Array<Object>, flags: Array<Object> }}
+ *   `install` lists plugins which are missing or don't satisfy their range, as `{ name, range, installedVersion }`;
+ *   `flags` lists `{ name, ...changedFlags }` (compared with the defaults for plugins which aren't installed)
+ */
+export function diffDeclaredPlugins (declared, installed) {
+  const diff = { install: [], flags: [] }
+  Object.entries(declared ?? {}).forEach(([name, options]) => {
+    const { version: range = '*', ...flags } = typeof options === 'string' ? { version: options } : options
+    const plugin = installed.find(p => p.name === name)
+    if (!plugin || !semver.satisfies(plugin.version, range, { includePrerelease: true })) {
+      diff.install.push({ name, range, installedVersion: plugin?.version ?? null })
+    }
+    const changed = diffPluginFlags(flags, plugin)
+    if (Object.keys(changed).length) diff.flags.push({ name, ...changed })
+  })
+  return diff
+}
@@ -0,0 +1,23 @@
+/**
+ * Compares two versions of a plugin's `pluginDependencies`.
+ *
+ * @param {Object<string,string>} [from] - Dependencies of the currently installed version
+ * @param {Object<string,string>} [to] - Dependencies of the version being installed
+ * @returns {{ added: Object<string,string>, removed: Object<string,string>, changed: Object<string,Object> }}
+ *   Added and removed dependencies map name to range, changed dependencies map name to `{ from, to }`
+ */
+export function diffPluginDependencies (from, to) {
+  from = from ?? {}
+  to = to ?? {}
+  const added = {}
+  const removed = {}
+  const changed = {}
+  Object.entries(to).forEach(([name, range]) => {
+    if (!Object.hasOwn(from, name)) added[name] = range
+    else if (from[name] !== range) changed[name] = { from: from[name], to: range }
+  })
+  Object.entries(from).forEach(([name, range]) => {
+    if (!Object.hasOwn(to, name)) removed[name] = range
+  })
+  return { added, removed, changed }
+}
@@ -0,0 +1,16 @@
+/** Flag values given to newly installed plugins */
+const DEFAULT_FLAGS = { isEnabled: true, isAddedByDefault: false }
+
+/**
+ * Works out which of a plugin's flags (`isEnabled`, `isAddedByDefault`) would change if the given values were applied
+ *
+ * @param {Object} flags - The wanted flag values. Unset flags (and anything which isn't a plugin flag) are ignored
+ * @param {Object} [plugin] - The plugin's current data, or undefined if it isn't installed
+ * @returns {Object} The flags which differ from the plugin's current values (or from the defaults for flags the
+ *   plugin doesn't have), mapped to their wanted values
+ */
+export function diffPluginFlags (flags, plugin) {
+  return Object.fromEntries(Object.keys(DEFAULT_FLAGS)
+    .filter(f => flags[f] !== undefined && flags[f] !== (plugin?.[f] ?? DEFAULT_FLAGS[f]))
+    .map(f => [f, flags[f]]))
+}
@@ -0,0 +1,34 @@
+import { diffPluginFlags } from './diffPluginFlags.js'
+
+/**
+ * Compares the plugins in two lockfiles (as exported by `GET /api/contentplugins/export`), working out what would
+ * need to change for the current plugin set to match the target.
+ *
+ * @param {Object} target - The lockfile to match
+ * @param {Object} current - The lockfile of the currently installed plugins
+ * @returns {{ missing: Array<Object>, mismatched: Array<Object>, modified: Array<Object>, flags: Array<Object>, extra: Array<string> }}
+ *   `missing` plugins are `{ name, version, source }`; `mismatched` plugins have a different version or source, as
+ *   `{ name, version, source, installedVersion, installedSource }`; `modified` plugins have the same version but
+ *   different files, as `{ name, version, expected, actual }`; `flags` lists `{ name, ...changedFlags }` (compared
+ *   with the defaults for missing plugins); `extra` lists the names of installed plugins which aren't in the target
+ */
+export function diffPluginLockfiles (target, current) {
+  const targetPlugins = target?.plugins ?? {}
+  const currentPlugins = current?.plugins ?? {}
+  const diff = { missing: [], mismatched: [], modified: [], flags: [], extra: [] }
+
+  Object.entries(targetPlugins).forEach(([name, { version, source, integrity, ...flags }]) => {
+    const installed = currentPlugins[name]
+    if (!installed) {
+      diff.missing.push({ name, version, source })
+    } else if (installed.version !== version || installed.source !== source) {
+      diff.mismatched.push({ name, version, source, installedVersion: installed.version, installedSource: installed.source })
+    } else if (integrity && installed.integrity && integrity !== installed.integrity) {
+      diff.modified.push({ name, version, expected: integrity, actual: installed.integrity })
+    }
+    const changed = diffPluginFlags(flags, installed)
+    if (Object.keys(changed).length) diff.flags.push({ name, ...changed })
+  })
+  diff.extra = Object.keys(currentPlugins).filter(name => !Object.hasOwn(targetPlugins, name))
+  return diff
+}
@@ -0,0 +1,77 @@
+import decompress from 'decompress'
+import path from 'path'
+import { readPluginArchiveEntries } from './readPluginArchiveEntries.js'
+
+/**
+ * Creates an error describing why an archive entry was rejected
+ * @param {string} reason Description of the problem
+ * @param {string} [file] Path of the offending entry
+ * @returns {Error}
+ */
+function invalidEntryError (reason, file) {
+  return Object.assign(new Error(`Invalid plugin zip: ${reason}${file ? ` (${file})` : ''}`), { reason, file })
+}
+
+/**
+ * Checks that an archive entry can be extracted safely. Hardlinks are rejected, as they're created from a path on the
+ * server (so could expose any file on it), as are entries and symlinks which resolve outside of the destination
+ * directory, and anything other than files, directories and symlinks.
+ * @param {Object} entry The entry, as passed to a decompress filter
+ * @param {string} destDir Directory the files are being extracted into
+ * @returns {boolean} Always true, so the entry is extracted
+ * @throws {Error} If the entry is unsafe
+ */
+function checkEntry (entry, destDir) {
+  const root = path.resolve(destDir)
+  const isInside = p => p === root || p.startsWith(root + path.sep)
+  const dest = path.resolve(root, entry.path)
+  if (entry.type === 'link') {
+    throw invalidEntryError('hardlinks are not allowed', entry.path)
+  }
+  if (!['file', 'directory', 'symlink'].includes(entry.type)) {
+    throw invalidEntryError('unsupported file type', entry.path)
+  }
+  if (!isInside(dest)) {
+    throw invalidEntryError('file resolves outside of the upload', entry.path)
+  }
+  if (entry.type === 'symlink' && !isInside(path.resolve(path.dirname(dest), entry.linkname))) {
+    throw invalidEntryError('symlink points outside of the upload', entry.path)
+  }
+  return true
+}
+
+/**
+ * Extracts a `.zip` or `.tgz` plugin archive. Every entry is checked (see checkEntry), and counted towards the limits,
+ * from its header before it's read, so nothing is inflated or written once an archive is found to be unsafe or too big.
+ * @param {string} archivePath - Path to the archive
+ * @param {string} destDir - Directory to extract the files into
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Maximum total size of all files in bytes
+ * @param {number} [options.maxFiles] - Maximum number of files
+ * @returns {Promise<string>} The destination directory
+ * @throws {Error} If the file isn't a supported archive, any entry is a hardlink or would be written (or link)
+ * outside the destination directory, or the archive exceeds the limits
+ */
+export async function extractPluginArchive (archivePath, destDir, { maxSize, maxFiles } = {}) {
+  let size = 0
+  let count = 0
+  // decompress buffers every entry before writing any, so the limits also bound the memory used
+  const filter = entry => {
+    checkEntry(entry, destDir)
+    if (entry.type === 'file') {
+      size += entry.size
+      count++
+      if (maxFiles && count > maxFiles) throw invalidEntryError(`more than ${maxFiles} files`)
+      if (maxSize && size > maxSize) throw invalidEntryError(`larger than ${maxSize} bytes`)
+    }
+    return true
+  }
+  const read = buf => readPluginArchiveEntries(buf, filter).catch(e => {
+    throw e.message.startsWith('Invalid plugin zip') ? e : new Error(`Invalid plugin zip: ${archivePath} could not be read (${e.message})`)
+  })
+  const files = await decompress(archivePath, destDir, { plugins: [read] })
+  if (!files.length) {
+    throw new Error(`Invalid plugin zip: ${archivePath} is empty or is not a zip or tgz archive`)
+  }
+  return destDir
+}
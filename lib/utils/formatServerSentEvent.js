@@ -0,0 +1,9 @@
+/**
+ * Formats a message for sending to the client as a Server-Sent Event
+ * @param {String} event The event name
+ * @param {*} data The event data (serialised as JSON)
+ * @returns {String} The formatted message
+ */
+export function formatServerSentEvent (event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`
+}
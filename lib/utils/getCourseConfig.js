@@ -0,0 +1,21 @@
+/**
+ * Retrieves the config of a single course. When a request is given, the content module's access checks are run
+ * against the config, so that only users with access to the course (e.g. its owner, or users it has been shared with)
+ * can read or modify it.
+ * @param {Object} contentplugin The contentplugin module instance
+ * @param {String} courseId _id of the course
+ * @param {external:ExpressRequest} [req] The request being handled
+ * @returns {Promise<Object>} Resolves with the course config
+ * @throws {AdaptError} NOT_FOUND if the course has no config
+ * @throws {AdaptError} UNAUTHORISED if the request's user doesn't have access to the course
+ */
+async function getCourseConfig (contentplugin, courseId, req) {
+  const content = await contentplugin.app.waitForModule('content')
+  const config = await content.findOne({ _type: 'config', _courseId: courseId }, { strict: false })
+  if (!config) {
+    throw contentplugin.app.errors.NOT_FOUND.setData({ type: 'course', id: courseId })
+  }
+  return req ? content.checkAccess(req, config) : config
+}
+
+export { getCourseConfig }
@@ -1,6 +1,4 @@
-import path from 'path'
-import semver from 'semver'
-import { globAbsolute } from './globAbsolute.js'
+import { getPluginBackups } from './getPluginBackups.js'
 
 /**
  * Gets the most recent backup for a plugin based on version sorting.
@@ -14,24 +12,6 @@ import { globAbsolute } from './globAbsolute.js'
  * @returns {Promise<string|null>} Absolute path to the most recent backup, or null if none found
  */
 export async function getMostRecentBackup (pluginDir, pluginName) {
-  const pattern = `${pluginName}-v*`
-  const backups = await globAbsolute(pattern, pluginDir)
-
-  if (backups.length === 0) {
-    return null
-  }
-
-  // Sort by version (newest first)
-  backups.sort((a, b) => {
-    const versionA = path.basename(a).replace(`${pluginName}-v`, '')
-    const versionB = path.basename(b).replace(`${pluginName}-v`, '')
-
-    if (semver.valid(versionA) && semver.valid(versionB)) {
-      return semver.rcompare(versionA, versionB)
-    }
-
-    return b.localeCompare(a)
-  })
-
-  return backups[0]
+  const [mostRecent] = await getPluginBackups(pluginDir, pluginName)
+  return mostRecent ?? null
 }
@@ -0,0 +1,27 @@
+import path from 'path'
+import semver from 'semver'
+import { globAbsolute } from './globAbsolute.js'
+
+/**
+ * Lists the backups of a plugin, newest first.
+ *
+ * Scans for directories matching `<pluginName>-v*` in the given directory and
+ * sorts them by semver (falling back to alphabetical for non-semver).
+ *
+ * @param {string} pluginDir - Base directory containing plugins
+ * @param {string} pluginName - Name of the plugin
+ * @returns {Promise<string[]>} Absolute paths to the plugin's backups
+ */
+export async function getPluginBackups (pluginDir, pluginName) {
+  const backups = await globAbsolute(`${pluginName}-v*`, pluginDir)
+
+  return backups.sort((a, b) => {
+    const versionA = path.basename(a).replace(`${pluginName}-v`, '')
+    const versionB = path.basename(b).replace(`${pluginName}-v`, '')
+
+    if (semver.valid(versionA) && semver.valid(versionB)) {
+      return semver.rcompare(versionA, versionB)
+    }
+    return b.localeCompare(a)
+  })
+}
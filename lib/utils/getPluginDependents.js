@@ -0,0 +1,27 @@
+/**
+ * Returns every plugin which depends on the named plugin, either directly or via
+ * another dependant.
+ *
+ * Plugins are returned in a safe removal order: each plugin appears before any
+ * plugin it depends on, so uninstalling them in sequence never removes a plugin
+ * while something still depends on it.
+ *
+ * @param {Array<Object>} plugins - Installed plugin data (must include `name` and `pluginDependencies`)
+ * @param {string} pluginName - Name of the plugin to find dependants of
+ * @returns {Array<Object>} The dependent plugins
+ */
+export function getPluginDependents (plugins, pluginName) {
+  const visited = new Set([pluginName])
+  const dependents = []
+  const visit = name => {
+    plugins
+      .filter(p => !visited.has(p.name) && Object.hasOwn(p.pluginDependencies ?? {}, name))
+      .forEach(p => {
+        visited.add(p.name)
+        visit(p.name)
+        dependents.push(p)
+      })
+  }
+  visit(pluginName)
+  return dependents
+}
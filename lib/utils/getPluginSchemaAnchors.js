@@ -0,0 +1,13 @@
+import { readJson } from 'adapt-authoring-core'
+import { globAbsolute } from './globAbsolute.js'
+
+/**
+ * Lists the schemas shipped with a plugin's source files
+ * @param {String} pluginDir Path to the plugin source
+ * @returns {Promise<Array<String>>} The $anchor of every schema in the plugin, sorted alphabetically
+ */
+export async function getPluginSchemaAnchors (pluginDir) {
+  const schemaPaths = await globAbsolute('**/*.schema.json', pluginDir)
+  const anchors = await Promise.all(schemaPaths.map(async p => (await readJson(p)).$anchor))
+  return anchors.filter(Boolean).sort()
+}
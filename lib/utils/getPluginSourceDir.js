@@ -0,0 +1,12 @@
+import { globAbsolute } from './globAbsolute.js'
+
+/**
+ * Locates a plugin's directory in the framework src directory
+ * @param {String} srcDir The framework's src directory
+ * @param {String} name Name of the plugin
+ * @returns {Promise<String|null>} Absolute path to the plugin directory, or null if the plugin isn't installed
+ */
+export async function getPluginSourceDir (srcDir, name) {
+  const [dir] = await globAbsolute(`{components,extensions,menu,theme}/${name}`, srcDir)
+  return dir ?? null
+}
@@ -0,0 +1,26 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Computes a content hash of a plugin directory, covering the relative path and contents of every file (symlinks are
+ * hashed by their target rather than followed). The result doesn't depend on file timestamps or on the order
+ * the files are listed in.
+ * @param {string} dir - Path to the plugin directory
+ * @returns {Promise<string>} The hash, in subresource integrity format (e.g. `sha256-<base64>`)
+ */
+export async function hashPluginDir (dir) {
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true })
+  const files = entries
+    .filter(e => e.isFile() || e.isSymbolicLink())
+    .map(e => ({ entry: e, relPath: path.relative(dir, path.join(e.parentPath ?? e.path, e.name)).split(path.sep).join('/') }))
+    .sort((a, b) => a.relPath < b.relPath ? -1 : a.relPath > b.relPath ? 1 : 0)
+  const hash = crypto.createHash('sha256')
+  for (const { entry, relPath } of files) {
+    const filePath = path.join(dir, relPath)
+    const contents = entry.isSymbolicLink() ? `symlink:${await fs.readlink(filePath)}` : await fs.readFile(filePath)
+    hash.update(`${relPath}\0`)
+    hash.update(crypto.createHash('sha256').update(contents).digest())
+  }
+  return `sha256-${hash.digest('base64')}`
+}
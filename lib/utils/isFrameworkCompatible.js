@@ -0,0 +1,18 @@
+import semver from 'semver'
+
+/**
+ * Checks whether the installed framework satisfies a plugin's framework range.
+ *
+ * Plugins which don't declare a range (and frameworks whose version can't be
+ * determined) are treated as compatible, as there is nothing to check against.
+ *
+ * @param {string} frameworkVersion - Version of the installed framework
+ * @param {string} [requiredFramework] - Framework range declared by the plugin
+ * @returns {boolean}
+ */
+export function isFrameworkCompatible (frameworkVersion, requiredFramework) {
+  if (!requiredFramework || !frameworkVersion) {
+    return true
+  }
+  return semver.satisfies(frameworkVersion, requiredFramework, { includePrerelease: true })
+}
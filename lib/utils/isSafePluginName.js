@@ -0,0 +1,13 @@
+/**
+ * Checks that a plugin name is safe to use as a directory name (e.g. in `path.join(pluginDir, name)`). Allows the
+ * characters permitted in unscoped npm package names, and rejects anything which could resolve outside the parent
+ * directory.
+ * @param {*} name The plugin name
+ * @returns {Boolean}
+ */
+export function isSafePluginName (name) {
+  return typeof name === 'string' &&
+    name.length <= 214 &&
+    /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name) &&
+    !name.includes('..')
+}
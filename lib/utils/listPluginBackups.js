@@ -0,0 +1,31 @@
+import path from 'path'
+import { getPluginBackups } from './getPluginBackups.js'
+import { readBackupManifest } from './readBackupManifest.js'
+
+/**
+ * Lists the backups of a plugin (newest first), along with the details recorded
+ * in the backup manifest. Backups which pre-date the manifest have a null
+ * `createdAt`, `source` and `integrity`.
+ *
+ * @param {string} pluginDir - Base directory containing plugins
+ * @param {string} pluginName - Name of the plugin
+ * @returns {Promise<Array<Object>>} List of `{ version, dir, createdAt, source, integrity }`
+ */
+export async function listPluginBackups (pluginDir, pluginName) {
+  const [backups, manifest] = await Promise.all([
+    getPluginBackups(pluginDir, pluginName),
+    readBackupManifest(pluginDir)
+  ])
+  const recorded = manifest[pluginName]?.backups ?? []
+  return backups.map(b => {
+    const dir = path.basename(b)
+    const info = recorded.find(r => r.dir === dir)
+    return {
+      version: dir.replace(`${pluginName}-v`, ''),
+      dir,
+      createdAt: info?.createdAt ?? null,
+      source: info?.source ?? null,
+      integrity: info?.integrity ?? null
+    }
+  })
+}
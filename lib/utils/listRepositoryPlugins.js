@@ -0,0 +1,29 @@
+import fs from 'fs/promises'
+import path from 'path'
+import semver from 'semver'
+
+/** Matches archive names in the format `<name>-<version>.<zip|tgz>` */
+const ARCHIVE_NAME_RE = /^(.+)-(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?)\.(zip|tgz)$/
+
+/**
+ * Lists the plugin archives available in an offline plugin repository. Archives must be named
+ * `<name>-<version>.zip` or `<name>-<version>.tgz`; any other files are ignored.
+ * @param {string} repositoryDir - Path to the repository directory
+ * @returns {Promise<Array<Object>>} List of `{ name, version, file }`, sorted by name then newest version first. Empty if the directory doesn't exist.
+ */
+export async function listRepositoryPlugins (repositoryDir) {
+  let files
+  try {
+    files = await fs.readdir(repositoryDir)
+  } catch (e) {
+    if (e.code === 'ENOENT') return []
+    throw e
+  }
+  return files
+    .map(f => {
+      const [, name, version] = f.match(ARCHIVE_NAME_RE) ?? []
+      return semver.valid(version) ? { name, version, file: path.join(repositoryDir, f) } : null
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name) || semver.rcompare(a.version, b.version))
+}
@@ -1,53 +1,63 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { readJson } from 'adapt-authoring-core'
 import { backupPluginVersion } from './backupPluginVersion.js'
 import { cleanupOldPluginBackups } from './cleanupOldPluginBackups.js'
+import { hashPluginDir } from './hashPluginDir.js'
+import { isSafePluginName } from './isSafePluginName.js'
+import { readPluginManifest } from './readPluginManifest.js'
+import { updateBackupManifest } from './updateBackupManifest.js'
+import { validatePluginFiles } from './validatePluginFiles.js'
 
 /**
  * Processes local plugin source files for installation.
  *
  * If `sourcePath` is just a filename (no directory component), returns a
- * non-local install descriptor.  Otherwise reads the package metadata from
- * the source, backs up any existing version, cleans old backups, and copies
- * the source files into their persistent location under `pluginDir`.
+ * non-local install descriptor.  Otherwise checks the source files are safe
+ * (see `validatePluginFiles`), reads the package metadata from the source,
+ * backs up any existing version, cleans old backups, and copies the source
+ * files into their persistent location under `pluginDir`. A hash of the copied
+ * files is recorded in the backup manifest, and returned as `integrity`.
  *
  * @param {Object} pluginData - Plugin metadata (must include `name` and `sourcePath`)
  * @param {string} pluginDir - Persistent plugin storage directory
  * @param {Function} [log] - Optional logging callback `(level, msg) => void`
- * @returns {Promise<Object>} Package metadata with `sourcePath` and `isLocalInstall` fields
- * @throws {Error} If the source contains no valid package.json or bower.json
+ * @param {Object} [options]
+ * @param {number} [options.maxBackups] - Number of previous versions to keep as backups
+ * @param {string} [options.source] - Description of where the files came from (recorded in the backup manifest)
+ * @param {Object} [options.limits] - Limits passed to `validatePluginFiles`
+ * @param {Function} [options.validateManifest] - Async function called with the manifest before anything is copied, which should throw if the manifest is invalid
+ * @returns {Promise<Object>} Package metadata with `sourcePath`, `isLocalInstall` and (for local installs) `integrity` fields
+ * @throws {Error} If the source files are unsafe, contain no valid package.json or bower.json, or the plugin name is unsafe
  */
-export async function processPluginFiles (pluginData, pluginDir, log) {
-  let sourcePath = pluginData.sourcePath
+export async function processPluginFiles (pluginData, pluginDir, log, options = {}) {
+  const sourcePath = pluginData.sourcePath
   if (sourcePath === path.basename(sourcePath)) { // no local files
     return { name: pluginData.name, version: sourcePath, isLocalInstall: false }
   }
-  const contents = await fs.readdir(sourcePath)
-  if (contents.length === 1) { // deal with a nested root folder
-    sourcePath = path.join(pluginData.sourcePath, contents[0])
-  }
-  let pkg
-  try {
-    try {
-      pkg = await readJson(path.join(sourcePath, 'package.json'))
-    } catch (e) {
-      pkg = await readJson(path.join(sourcePath, 'bower.json'))
-    }
-    pkg.sourcePath = path.join(pluginDir, pkg.name)
-    pkg.isLocalInstall = true
-  } catch (e) {
-    throw new Error(`Invalid plugin zip: no package.json or bower.json found in ${sourcePath}`)
+  await validatePluginFiles(sourcePath, options.limits)
+  const { pkg, sourcePath: pluginRoot } = await readPluginManifest(sourcePath)
+  if (!isSafePluginName(pkg.name)) {
+    throw Object.assign(new Error(`Invalid plugin zip: unsafe plugin name '${pkg.name}'`), { reason: 'unsafe plugin name' })
   }
+  if (options.validateManifest) await options.validateManifest(pkg)
+  pkg.sourcePath = path.join(pluginDir, pkg.name)
+  pkg.isLocalInstall = true
 
   // Back up the existing version if it exists
   await backupPluginVersion(pkg.sourcePath, pkg.name, log)
 
-  // Clean up old backups (keep only 1 previous version)
-  await cleanupOldPluginBackups(pluginDir, pkg.name, log)
+  // Clean up old backups (keep only the configured number of previous versions)
+  await cleanupOldPluginBackups(pluginDir, pkg.name, log, { maxBackups: options.maxBackups })
 
   // move the files into the persistent location
-  await fs.cp(sourcePath, pkg.sourcePath, { recursive: true })
-  await fs.rm(sourcePath, { recursive: true })
+  await fs.cp(pluginRoot, pkg.sourcePath, { recursive: true, verbatimSymlinks: true })
+  await fs.rm(pluginRoot, { recursive: true })
+  pkg.integrity = await hashPluginDir(pkg.sourcePath)
+  await updateBackupManifest(pluginDir, pkg.name, entry => ({
+    ...entry,
+    source: options.source ?? null,
+    integrity: pkg.integrity,
+    installedAt: new Date().toISOString()
+  }))
   return pkg
 }
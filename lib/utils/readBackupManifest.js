@@ -0,0 +1,26 @@
+import path from 'path'
+import { readJson } from 'adapt-authoring-core'
+
+/**
+ * Name of the file (stored in the plugin directory) which records plugin backup history
+ * @type {string}
+ */
+export const BACKUP_MANIFEST_FILENAME = '.backups.json'
+
+/**
+ * Reads the backup manifest for a plugin directory.
+ *
+ * The manifest maps each plugin name to the `source` and `installedAt` time of
+ * the currently installed files, plus a `backups` list recording the `version`,
+ * `dir`, `createdAt` time and `source` of each backup.
+ *
+ * @param {string} pluginDir - Base directory containing plugins
+ * @returns {Promise<Object>} The manifest, or an empty object if none exists
+ */
+export async function readBackupManifest (pluginDir) {
+  try {
+    return await readJson(path.join(pluginDir, BACKUP_MANIFEST_FILENAME))
+  } catch (e) {
+    return {}
+  }
+}
@@ -0,0 +1,128 @@
+import tarStream from 'tar-stream'
+import yauzl from 'yauzl'
+import zlib from 'zlib'
+
+/**
+ * Longest symlink target read from a zip (symlink targets are stored as the entry's contents)
+ * @type {number}
+ */
+const MAX_LINKNAME_LENGTH = 4096
+
+/**
+ * Reads the entries of a gzipped tarball
+ * @param {Buffer} buf The archive
+ * @param {Function} filter See readPluginArchiveEntries
+ * @returns {Promise<Array<Object>>}
+ */
+function readTarEntries (buf, filter) {
+  return new Promise((resolve, reject) => {
+    const files = []
+    const gunzip = zlib.createGunzip()
+    const extract = tarStream.extract()
+    const fail = e => {
+      gunzip.destroy()
+      extract.destroy()
+      reject(e)
+    }
+    extract.on('entry', (header, stream, next) => {
+      const entry = { path: header.name, type: header.type, size: header.size, mode: header.mode, mtime: header.mtime }
+      if (header.linkname) entry.linkname = header.linkname
+      try {
+        if (filter(entry) === false) {
+          stream.on('end', next)
+          return stream.resume()
+        }
+      } catch (e) {
+        return fail(e)
+      }
+      const chunks = []
+      stream.on('data', chunk => chunks.push(chunk))
+      stream.on('end', () => {
+        files.push({ ...entry, data: Buffer.concat(chunks) })
+        next()
+      })
+    })
+    extract.on('finish', () => resolve(files))
+    extract.on('error', fail)
+    gunzip.on('error', fail)
+    gunzip.pipe(extract)
+    gunzip.end(buf)
+  })
+}
+
+/**
+ * Reads the entries of a zip
+ * @param {Buffer} buf The archive
+ * @param {Function} filter See readPluginArchiveEntries
+ * @returns {Promise<Array<Object>>}
+ */
+function readZipEntries (buf, filter) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buf, { lazyEntries: true }, (error, zip) => {
+      if (error) return reject(error)
+      const files = []
+      const fail = e => {
+        zip.close()
+        reject(e)
+      }
+      const readData = zipEntry => new Promise((resolve, reject) => {
+        zip.openReadStream(zipEntry, (error, stream) => {
+          if (error) return reject(error)
+          const chunks = []
+          stream.on('data', chunk => chunks.push(chunk))
+          stream.on('end', () => resolve(Buffer.concat(chunks)))
+          stream.on('error', reject)
+        })
+      })
+      zip.on('entry', async zipEntry => {
+        try {
+          const mode = (zipEntry.externalFileAttributes >>> 16) & 0xFFFF
+          const type = (mode & 0xF000) === 0xA000
+            ? 'symlink'
+            : (mode & 0xF000) === 0x4000 || zipEntry.fileName.endsWith('/') ? 'directory' : 'file'
+          const entry = {
+            path: zipEntry.fileName,
+            type,
+            size: zipEntry.uncompressedSize,
+            mode: mode || (type === 'directory' ? 0o755 : 0o644),
+            mtime: zipEntry.getLastModDate()
+          }
+          let data
+          if (type === 'symlink') {
+            if (entry.size > MAX_LINKNAME_LENGTH) throw new Error(`Invalid plugin zip: invalid symlink (${entry.path})`)
+            data = await readData(zipEntry)
+            entry.linkname = data.toString()
+          }
+          if (filter(entry) !== false) {
+            files.push({ ...entry, data: data ?? (type === 'directory' ? Buffer.alloc(0) : await readData(zipEntry)) })
+          }
+          zip.readEntry()
+        } catch (e) {
+          fail(e)
+        }
+      })
+      zip.on('end', () => resolve(files))
+      zip.on('error', fail)
+      zip.readEntry()
+    })
+  })
+}
+
+/**
+ * Reads the entries of a `.zip` or `.tgz` archive. Each entry is passed to `filter` before its contents are read, so
+ * that entries can be checked (and unwanted ones skipped) without inflating anything else.
+ * @param {Buffer} buf - The archive
+ * @param {Function} [filter] - Called with each entry as `{ path, type, size, mode, mtime, linkname }`, where `size` is
+ * the uncompressed size from the entry's header. Return false to skip the entry, or throw to stop reading the archive.
+ * @returns {Promise<Array<Object>>} The entries which weren't skipped, with their contents as `data` (the format
+ * returned by a decompress plugin), or an empty array if the buffer isn't a zip or gzip
+ */
+export async function readPluginArchiveEntries (buf, filter = () => true) {
+  if (buf[0] === 0x1F && buf[1] === 0x8B) {
+    return readTarEntries(buf, filter)
+  }
+  if (buf[0] === 0x50 && buf[1] === 0x4B) {
+    return readZipEntries(buf, filter)
+  }
+  return []
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises'
+import { readPluginArchiveEntries } from './readPluginArchiveEntries.js'
+
+const MANIFEST_RE = /(^|\/)(package|bower)\.json$/
+
+/**
+ * Manifests already read, by archive path, along with the modification time and size of the archive they were read from
+ * @type {Map<string, Object>}
+ */
+const cache = new Map()
+
+/**
+ * Reads the manifest of a `.zip` or `.tgz` plugin archive without extracting it to disk. As with
+ * `readPluginManifest`, the manifest closest to the archive root is used, and `package.json` is
+ * preferred over `bower.json`. Only the manifest entries are inflated, and the result is cached until the archive
+ * changes.
+ * @param {string} archivePath - Path to the archive
+ * @returns {Promise<Object>} The manifest
+ * @throws {Error} If the archive contains no valid package.json or bower.json
+ */
+export async function readPluginArchiveManifest (archivePath) {
+  const { mtimeMs, size } = await fs.stat(archivePath)
+  const cached = cache.get(archivePath)
+  if (cached?.mtimeMs === mtimeMs && cached.size === size) {
+    return structuredClone(cached.manifest)
+  }
+  const files = await readPluginArchiveEntries(await fs.readFile(archivePath), f => f.type === 'file' && MANIFEST_RE.test(f.path))
+  const depth = f => f.path.split('/').length
+  const [manifest] = files.sort((a, b) => depth(a) - depth(b) || a.path.endsWith('bower.json') - b.path.endsWith('bower.json'))
+  let data
+  try {
+    data = JSON.parse(manifest.data.toString())
+  } catch (e) {
+    throw new Error(`Invalid plugin zip: no package.json or bower.json found in ${archivePath}`)
+  }
+  cache.set(archivePath, { mtimeMs, size, manifest: data })
+  return structuredClone(data)
+}
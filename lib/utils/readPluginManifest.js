@@ -0,0 +1,29 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { readJson } from 'adapt-authoring-core'
+
+/**
+ * Reads the manifest of a plugin's source files without modifying them.
+ *
+ * Handles sources with a single nested root folder (as is common with zips),
+ * and reads `package.json`, falling back to `bower.json`.
+ *
+ * @param {string} sourcePath - Path to the plugin source files
+ * @returns {Promise<Object>} The manifest as `pkg`, and the resolved plugin root as `sourcePath`
+ * @throws {Error} If the source contains no valid package.json or bower.json
+ */
+export async function readPluginManifest (sourcePath) {
+  const contents = await fs.readdir(sourcePath)
+  if (contents.length === 1) { // deal with a nested root folder
+    sourcePath = path.join(sourcePath, contents[0])
+  }
+  try {
+    try {
+      return { pkg: await readJson(path.join(sourcePath, 'package.json')), sourcePath }
+    } catch (e) {
+      return { pkg: await readJson(path.join(sourcePath, 'bower.json')), sourcePath }
+    }
+  } catch (e) {
+    throw new Error(`Invalid plugin zip: no package.json or bower.json found in ${sourcePath}`)
+  }
+}
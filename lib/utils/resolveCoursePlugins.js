@@ -0,0 +1,32 @@
+import { resolvePluginDependencies } from './resolvePluginDependencies.js'
+
+/**
+ * Works out which plugins need adding to a course's `_enabledPlugins` for a plugin to work: the plugin itself, plus
+ * its `pluginDependencies`, their dependencies and so on.
+ *
+ * Plugins are returned in dependency order (each plugin appears after the plugins it depends on).
+ *
+ * @param {string} pluginName - Name of the plugin being enabled
+ * @param {Array<Object>} installedPlugins - Installed plugin data (must include `name`, `version`, `isEnabled` and `pluginDependencies`)
+ * @returns {{ plugins: Array<string>, missing: Array<Object>, unsatisfied: Array<Object>, disabled: Array<string> }}
+ *   The plugin names to enable, plus any dependencies which aren't installed, are installed at an incompatible
+ *   version (in the format returned by `resolvePluginDependencies`), or are disabled
+ */
+export function resolveCoursePlugins (pluginName, installedPlugins) {
+  const result = { plugins: [], missing: [], unsatisfied: [], disabled: [] }
+  const visited = new Set()
+  const visit = name => {
+    visited.add(name)
+    const plugin = installedPlugins.find(p => p.name === name)
+    if (plugin.isEnabled === false) result.disabled.push(name)
+    const { missing, unsatisfied } = resolvePluginDependencies(plugin.pluginDependencies, installedPlugins)
+    result.missing.push(...missing.filter(m => !result.missing.some(r => r.name === m.name)))
+    result.unsatisfied.push(...unsatisfied.filter(u => !result.unsatisfied.some(r => r.name === u.name)))
+    Object.keys(plugin.pluginDependencies ?? {})
+      .filter(d => !visited.has(d) && !missing.some(m => m.name === d))
+      .forEach(visit)
+    result.plugins.push(name)
+  }
+  if (installedPlugins.some(p => p.name === pluginName)) visit(pluginName)
+  return result
+}
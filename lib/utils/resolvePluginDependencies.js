@@ -0,0 +1,27 @@
+import semver from 'semver'
+
+/**
+ * Compares a plugin's `pluginDependencies` against the currently installed plugins.
+ *
+ * Dependencies which aren't installed are returned as `missing`, and those which
+ * are installed at a version outside of the required range as `unsatisfied`.
+ *
+ * @param {Object<string,string>} [dependencies] - Map of plugin name to version range
+ * @param {Array<Object>} installedPlugins - Installed plugin data (must include `name` and `version`)
+ * @returns {{ missing: Array<Object>, unsatisfied: Array<Object> }} Lists of `{ name, range }`
+ *   (plus `installedVersion` for unsatisfied dependencies)
+ */
+export function resolvePluginDependencies (dependencies = {}, installedPlugins = []) {
+  const missing = []
+  const unsatisfied = []
+  Object.entries(dependencies ?? {}).forEach(([name, range]) => {
+    const installed = installedPlugins.find(p => p.name === name)
+    if (!installed) {
+      return missing.push({ name, range })
+    }
+    if (!semver.satisfies(installed.version, range || '*', { includePrerelease: true })) {
+      unsatisfied.push({ name, range, installedVersion: installed.version })
+    }
+  })
+  return { missing, unsatisfied }
+}
@@ -1,45 +1,75 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { getMostRecentBackup } from './getMostRecentBackup.js'
+import { backupPluginVersion } from './backupPluginVersion.js'
+import { getPluginBackups } from './getPluginBackups.js'
+import { hashPluginDir } from './hashPluginDir.js'
 import { readJson } from 'adapt-authoring-core'
+import { readBackupManifest } from './readBackupManifest.js'
+import { updateBackupManifest } from './updateBackupManifest.js'
 
 /**
- * Restores a plugin from its most recent versioned backup.
+ * Restores a plugin from a versioned backup.
  *
- * Finds the newest backup directory, removes the current plugin directory
- * (if present), renames the backup into place, and reads the package metadata.
+ * Finds the requested backup directory (the newest if no version is given),
+ * checks its files against the integrity hash recorded in the backup manifest
+ * (if any), reads its package metadata, backs up the current plugin directory
+ * (if present, see `backupPluginVersion`) and renames the backup into place.
+ * Every check is made before any files are moved, so a backup which can't be
+ * restored leaves the current files alone. The backup is moved aside first, so
+ * that backing up a current version with the same version number can't
+ * overwrite it.
  *
  * @param {string} pluginDir - Base directory containing plugins
  * @param {string} pluginName - Name of the plugin to restore
  * @param {Function} [log] - Optional logging callback `(level, msg) => void`
- * @returns {Promise<Object|null>} Package metadata from the restored backup,
- *   or null if no backup was found
- * @throws {Error} If the restored backup contains no package.json or bower.json
+ * @param {Object} [options]
+ * @param {string} [options.version] - Version of the backup to restore (defaults to the most recent)
+ * @returns {Promise<Object|null>} Package metadata from the restored backup
+ *   (with the backup's `integrity` hash), or null if no backup was found
+ * @throws {Error} If the backup's files don't match its recorded integrity hash
+ *   (with `integrityMismatch: true`, and the `expected` and `actual` hashes), or
+ *   the restored backup contains no package.json or bower.json
  */
-export async function restorePluginFromBackup (pluginDir, pluginName, log) {
+export async function restorePluginFromBackup (pluginDir, pluginName, log, { version } = {}) {
   const pluginPath = path.join(pluginDir, pluginName)
-  const mostRecentBackup = await getMostRecentBackup(pluginDir, pluginName)
+  const backups = await getPluginBackups(pluginDir, pluginName)
+  const backup = version
+    ? backups.find(b => path.basename(b) === `${pluginName}-v${version}`)
+    : backups[0]
 
-  if (!mostRecentBackup) {
+  if (!backup) {
     return null
   }
-  // Remove current version if it exists
-  try {
-    await fs.access(pluginPath)
-    await fs.rm(pluginPath, { recursive: true })
-  } catch (e) {
-    // Current version doesn't exist, that's fine
+  const dir = path.basename(backup)
+  const recorded = (await readBackupManifest(pluginDir))[pluginName]?.backups.find(b => b.dir === dir)
+  const integrity = await hashPluginDir(backup)
+  if (recorded?.integrity && recorded.integrity !== integrity) {
+    throw Object.assign(new Error(`Backup ${dir} does not match its recorded integrity hash`), {
+      integrityMismatch: true,
+      expected: recorded.integrity,
+      actual: integrity
+    })
   }
+  const pkg = await readJson(path.join(backup, 'package.json'))
+    .catch(() => readJson(path.join(backup, 'bower.json')))
+    .catch(() => { throw new Error(`Could not read package.json or bower.json from backup of ${pluginName}`) })
+  const stagingPath = `${pluginPath}-restoring`
+  await fs.rm(stagingPath, { recursive: true, force: true })
+  await fs.rename(backup, stagingPath)
+  await updateBackupManifest(pluginDir, pluginName, entry => ({
+    ...entry,
+    backups: entry.backups.filter(b => b.dir !== dir)
+  }))
+  // Back up the current version if it exists
+  await backupPluginVersion(pluginPath, pluginName, log)
   // Restore the backup
-  await fs.rename(mostRecentBackup, pluginPath)
+  await fs.rename(stagingPath, pluginPath)
+  await updateBackupManifest(pluginDir, pluginName, entry => ({
+    ...entry,
+    source: recorded?.source ?? null,
+    integrity,
+    installedAt: new Date().toISOString()
+  }))
   if (log) log('info', `Restored ${pluginName} from backup`)
-  try {
-    return await readJson(path.join(pluginPath, 'package.json'))
-  } catch (e) {
-    try {
-      return await readJson(path.join(pluginPath, 'bower.json'))
-    } catch (e2) {
-      throw new Error(`Could not read package.json or bower.json from backup of ${pluginName}`)
-    }
-  }
+  return { ...pkg, integrity }
 }
@@ -0,0 +1,13 @@
+import fs from 'fs/promises'
+
+/**
+ * Replaces a plugin directory with a snapshot previously taken by `snapshotPluginDir`.
+ * The snapshot itself is left in place.
+ * @param {string} snapshotDir - Path to the snapshot
+ * @param {string} pluginPath - Absolute path to the plugin directory
+ * @returns {Promise}
+ */
+export async function restorePluginSnapshot (snapshotDir, pluginPath) {
+  await fs.rm(pluginPath, { recursive: true, force: true })
+  await fs.cp(snapshotDir, pluginPath, { recursive: true, verbatimSymlinks: true })
+}
@@ -0,0 +1,19 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Copies a plugin directory to a temporary location, so that it can be put back if a later operation fails
+ * @param {string} pluginPath - Absolute path to the plugin directory
+ * @returns {Promise<string|null>} Path to the snapshot, or null if the plugin directory doesn't exist
+ */
+export async function snapshotPluginDir (pluginPath) {
+  try {
+    await fs.access(pluginPath)
+  } catch (e) { // nothing to snapshot
+    return null
+  }
+  const snapshotDir = await fs.mkdtemp(path.join(os.tmpdir(), `${path.basename(pluginPath)}-snapshot-`))
+  await fs.cp(pluginPath, snapshotDir, { recursive: true, verbatimSymlinks: true })
+  return snapshotDir
+}
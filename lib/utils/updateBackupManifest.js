@@ -0,0 +1,21 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { BACKUP_MANIFEST_FILENAME, readBackupManifest } from './readBackupManifest.js'
+
+/**
+ * Updates a single plugin's entry in the backup manifest.
+ *
+ * @param {string} pluginDir - Base directory containing plugins
+ * @param {string} pluginName - Name of the plugin
+ * @param {Function} updateFunc - Receives the current entry (`{ backups: [] }` if none
+ *   exists) and returns the updated entry
+ * @returns {Promise<Object>} The updated entry
+ */
+export async function updateBackupManifest (pluginDir, pluginName, updateFunc) {
+  const manifest = await readBackupManifest(pluginDir)
+  const entry = await updateFunc({ backups: [], ...manifest[pluginName] })
+  manifest[pluginName] = entry
+  await fs.mkdir(pluginDir, { recursive: true })
+  await fs.writeFile(path.join(pluginDir, BACKUP_MANIFEST_FILENAME), JSON.stringify(manifest, null, 2))
+  return entry
+}
@@ -0,0 +1,67 @@
+/**
+ * Plugin types which a course can only have one of
+ * @type {Array<String>}
+ */
+const SINGLE_TYPES = ['theme', 'menu']
+
+/**
+ * Checks the plugins in a course config's _enabledPlugins list against the installed plugins. Only what the write
+ * changes is checked, so that courses which were already inconsistent can still be edited:
+ * - newly enabled plugins must be installed, and not disabled (`isEnabled: false`) unless `options.allowDisabled` is
+ *   set (for inserts copying a course which may already use them, e.g. clones and imports)
+ * - newly enabled plugins must have their `pluginDependencies` enabled, and removed plugins mustn't be a dependency of
+ *   a plugin which stays enabled
+ * - a theme or menu can only be enabled if no other plugin of that type is
+ * Intended to be tapped into the content module's preInsertHook (before addDefaultPlugins, so that only the supplied
+ * plugins are checked) and preUpdateHook.
+ * @param {Object} contentplugin The contentplugin module instance
+ * @param {Object} data The insert/update data
+ * @param {Object} [existing] The existing config (for updates)
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowDisabled] Whether disabled plugins can be enabled
+ * @throws {AdaptError} CONTENTPLUGIN_NOT_INSTALLED if any newly enabled plugins aren't installed
+ * @throws {AdaptError} CONTENTPLUGIN_DISABLED if any newly enabled plugins are disabled
+ * @throws {AdaptError} CONTENTPLUGIN_DEPENDENCY_UNSATISFIED if the write leaves an enabled plugin's dependencies
+ * unsatisfied
+ * @throws {AdaptError} CONTENTPLUGIN_MULTIPLE_OF_TYPE if the write enables a second theme or menu
+ */
+async function validateEnabledPlugins (contentplugin, data, existing, options = {}) {
+  if (!data._enabledPlugins) {
+    return
+  }
+  const errors = contentplugin.app.errors
+  const installed = await contentplugin.find()
+  // an insert has nothing to compare against, so every listed plugin counts as added
+  const previous = existing?._enabledPlugins ?? []
+  const added = data._enabledPlugins.filter(name => !previous.includes(name))
+  const removed = previous.filter(name => !data._enabledPlugins.includes(name))
+
+  const notInstalled = added.filter(name => !installed.some(p => p.name === name))
+  if (notInstalled.length) {
+    throw errors.CONTENTPLUGIN_NOT_INSTALLED.setData({ names: notInstalled })
+  }
+  const disabled = installed
+    .filter(p => p.isEnabled === false && added.includes(p.name))
+    .map(p => p.name)
+  if (!options.allowDisabled && disabled.length) {
+    throw errors.CONTENTPLUGIN_DISABLED.setData({ names: disabled })
+  }
+  const enabled = installed.filter(p => data._enabledPlugins.includes(p.name))
+
+  for (const p of enabled) {
+    const dependencies = Object.entries(p.pluginDependencies ?? {})
+      .filter(([name]) => !data._enabledPlugins.includes(name) && (added.includes(p.name) || removed.includes(name)))
+      .map(([name, range]) => ({ name, range }))
+    if (dependencies.length) {
+      throw errors.CONTENTPLUGIN_DEPENDENCY_UNSATISFIED.setData({ name: p.name, dependencies })
+    }
+  }
+  for (const type of SINGLE_TYPES) {
+    const names = enabled.filter(p => p.type === type).map(p => p.name)
+    if (names.length > 1 && names.some(name => added.includes(name))) {
+      throw errors.CONTENTPLUGIN_MULTIPLE_OF_TYPE.setData({ type, names })
+    }
+  }
+}
+
+export { validateEnabledPlugins, SINGLE_TYPES }
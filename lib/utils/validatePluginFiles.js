@@ -0,0 +1,69 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * Creates an error describing why a set of plugin files was rejected
+ * @param {string} reason Description of the problem
+ * @param {string} [file] Path of the offending file, relative to the upload root
+ * @returns {Error}
+ */
+function invalidFilesError (reason, file) {
+  return Object.assign(new Error(`Invalid plugin zip: ${reason}${file ? ` (${file})` : ''}`), { reason, file })
+}
+
+/**
+ * Checks that a directory of (unzipped) plugin files is safe to install. Rejects:
+ * - files or symlinks which resolve outside of the directory
+ * - `node_modules` directories
+ * - anything other than regular files, directories and symlinks
+ * - files with a disallowed extension
+ * - uploads which exceed the file count or total size limits
+ *
+ * Symlinks are not followed, so they don't count towards the limits.
+ *
+ * @param {string} rootDir - Path to the plugin files
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Maximum total size of all files in bytes
+ * @param {number} [options.maxFiles] - Maximum number of files
+ * @param {Array<string>} [options.disallowedExtensions] - File extensions to reject (e.g. `.exe`), case-insensitive
+ * @returns {Promise<Object>} Resolves with the total `size` and number of `files`
+ * @throws {Error} If the files are unsafe (the error's `reason` and `file` properties describe the problem)
+ */
+export async function validatePluginFiles (rootDir, { maxSize, maxFiles, disallowedExtensions = [] } = {}) {
+  const root = await fs.realpath(rootDir)
+  const disallowed = disallowedExtensions.map(e => e.toLowerCase())
+  const isInside = p => p === root || p.startsWith(root + path.sep)
+  let size = 0
+  let files = 0
+
+  const walk = async dir => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const filePath = path.join(dir, entry.name)
+      const relPath = path.relative(root, filePath)
+      const realPath = await fs.realpath(filePath).catch(() => null)
+      if (!realPath || !isInside(realPath)) {
+        throw invalidFilesError(entry.isSymbolicLink() ? 'symlink points outside of the upload' : 'file resolves outside of the upload', relPath)
+      }
+      if (entry.isSymbolicLink()) {
+        continue
+      }
+      if (entry.isDirectory()) {
+        if (entry.name === 'node_modules') throw invalidFilesError('node_modules is not allowed', relPath)
+        await walk(filePath)
+        continue
+      }
+      if (!entry.isFile()) {
+        throw invalidFilesError('unsupported file type', relPath)
+      }
+      if (disallowed.includes(path.extname(entry.name).toLowerCase())) {
+        throw invalidFilesError('disallowed file type', relPath)
+      }
+      size += (await fs.stat(filePath)).size
+      files++
+      if (maxFiles && files > maxFiles) throw invalidFilesError(`more than ${maxFiles} files`)
+      if (maxSize && size > maxSize) throw invalidFilesError(`larger than ${maxSize} bytes`)
+    }
+  }
+  await walk(root)
+  return { size, files }
+}
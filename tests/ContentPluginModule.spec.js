@@ -0,0 +1,514 @@
+import { describe, it, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import AbstractApiModule from 'adapt-authoring-api'
+import { Hook } from 'adapt-authoring-core'
+import ContentPluginModule from '../lib/ContentPluginModule.js'
+
+/** Stand-in for app.errors, where every error is an AdaptError-like object with setData */
+const errors = new Proxy({}, {
+  get: (target, code) => ({ code, setData: data => Object.assign(new Error(code), { code, data }) })
+})
+
+/**
+ * Whether a document matches a query, supporting only the operators used by the module's raw content queries
+ * @param {Object} doc The document
+ * @param {Object} query The query
+ */
+function matches (doc, query) {
+  return Object.entries(query).every(([key, value]) => {
+    if (key === '$or') return value.some(q => matches(doc, q))
+    if (value?.$in) return value.$in.includes(doc[key])
+    return doc[key] === value
+  })
+}
+
+/**
+ * Stand-in for the mongodb module, storing collections in memory
+ * @param {Object<string, Array<Object>>} data Initial documents, by collection name
+ * @param {Object} [session] Session returned by client.startSession
+ */
+function createDb (data = {}, session) {
+  const collections = new Map(Object.entries(data))
+  const docs = name => collections.get(name) ?? collections.set(name, []).get(name)
+  return {
+    collections,
+    client: session && { startSession: () => session },
+    getCollection: name => ({
+      find: (query, options) => docs(name).filter(d => matches(d, query)).map(d => structuredClone(d)),
+      aggregate: ([{ $match }, { $merge }]) => ({
+        toArray: async () => docs($merge.into).push(...docs(name).filter(d => matches(d, $match)).map(d => structuredClone(d)))
+      }),
+      deleteMany: mock.fn(async query => collections.set(name, docs(name).filter(d => !matches(d, query)))),
+      insertMany: mock.fn(async items => docs(name).push(...items)),
+      drop: async () => collections.delete(name)
+    })
+  }
+}
+
+/**
+ * Creates a module instance without running its constructor, with a stubbed app and any overrides
+ * @param {Object} overrides Properties to set on the instance
+ * @param {Object<string, Object>} modules Modules returned by app.waitForModule
+ */
+function createInstance (overrides = {}, modules = {}) {
+  const instance = Object.create(ContentPluginModule.prototype)
+  Object.assign(instance, {
+    app: {
+      errors,
+      waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]
+    },
+    pluginSchemas: {},
+    preUninstallHook: new Hook({ type: Hook.Types.Series }),
+    postUninstallHook: new Hook(),
+    log: mock.fn(),
+    recordHistory: mock.fn(async () => {})
+  }, overrides)
+  return instance
+}
+
+describe('ContentPluginModule', () => {
+  afterEach(() => {
+    mock.restoreAll()
+    mock.timers.reset()
+  })
+
+  describe('#requestHandler()', () => {
+    const req = { method: 'PATCH', apiData: { query: { _id: 'p1' }, data: { isEnabled: false } }, auth: { user: { _id: 'u1' } } }
+
+    it('should pass a failure to look up the plugin to next', async () => {
+      const superHandler = mock.method(AbstractApiModule.prototype, 'requestHandler', async () => {})
+      const error = new Error('db down')
+      const instance = createInstance({ findOne: async () => { throw error } })
+      const next = mock.fn()
+
+      await instance.requestHandler(req, {}, next)
+
+      assert.deepEqual(next.mock.calls.map(c => c.arguments), [[error]])
+      assert.equal(superHandler.mock.callCount(), 0)
+    })
+
+    it('should log rather than throw a failure to record the history once the response is sent', async () => {
+      mock.method(AbstractApiModule.prototype, 'requestHandler', async () => {})
+      const instance = createInstance({
+        findOne: async () => ({ _id: 'p1', name: 'adapt-contrib-text', version: '1.0.0' }),
+        getPluginUses: async () => { throw new Error('db down') }
+      })
+      const next = mock.fn()
+
+      await instance.requestHandler(req, {}, next)
+
+      assert.equal(next.mock.callCount(), 0)
+      assert.equal(instance.log.mock.calls[0].arguments[1], 'PLUGIN_HISTORY_FAIL')
+    })
+
+    it('should record the patch in the history', async () => {
+      mock.method(AbstractApiModule.prototype, 'requestHandler', async () => {})
+      const instance = createInstance({
+        findOne: async () => ({ _id: 'p1', name: 'adapt-contrib-text', version: '1.0.0' }),
+        getPluginUses: async () => [{ _id: 'c1' }]
+      })
+
+      await instance.requestHandler(req, {}, () => {})
+
+      const [entry, error] = instance.recordHistory.mock.calls[0].arguments
+      assert.deepEqual(entry, { action: 'patch', name: 'adapt-contrib-text', userId: 'u1', fromVersion: '1.0.0', toVersion: '1.0.0', courses: ['c1'], changes: ['isEnabled'] })
+      assert.equal(error, undefined)
+    })
+  })
+
+  describe('#jobEventsHandler()', () => {
+    /** Creates a request and response for a job's event stream, recording what's written */
+    function createStream () {
+      const req = Object.assign(new EventEmitter(), { params: { _id: 'j1' } })
+      const res = Object.assign(new EventEmitter(), { writeHead: () => {}, written: [] })
+      res.write = chunk => res.written.push(chunk)
+      res.end = () => res.emit('close')
+      return { req, res }
+    }
+
+    it('should send keep-alive comments until the client disconnects', async () => {
+      mock.timers.enable({ apis: ['setInterval'] })
+      const jobs = Object.assign(new EventEmitter(), { get: async () => ({ _id: 'j1', status: 'running' }) })
+      const instance = createInstance({ jobs, getConfig: () => 1000 })
+      const { req, res } = createStream()
+
+      await instance.jobEventsHandler(req, res, () => {})
+      mock.timers.tick(2000)
+      req.emit('close')
+      mock.timers.tick(2000)
+
+      assert.deepEqual(res.written.slice(1), [':keep-alive\n\n', ':keep-alive\n\n'])
+    })
+
+    it('should stop sending keep-alive comments once the job finishes', async () => {
+      mock.timers.enable({ apis: ['setInterval'] })
+      const jobs = Object.assign(new EventEmitter(), { get: async () => ({ _id: 'j1', status: 'running' }) })
+      const instance = createInstance({ jobs, getConfig: () => 1000 })
+      const { req, res } = createStream()
+
+      await instance.jobEventsHandler(req, res, () => {})
+      jobs.emit('event', 'j1', { event: 'completed', data: { result: [] } })
+      mock.timers.tick(2000)
+
+      assert.equal(res.written.length, 2)
+      assert.match(res.written[1], /^event: completed/)
+      assert.equal(jobs.listenerCount('event'), 0)
+    })
+  })
+
+  describe('#updatePlugin()', () => {
+    const existing = { _id: 'p1', name: 'adapt-contrib-text', version: '1.0.0', isLocalInstall: false }
+    const content = [
+      { _id: 'c1', _type: 'course' }, { _id: 'a1', _courseId: 'c1', title: 'one' },
+      { _id: 'c2', _type: 'course' }, { _id: 'a2', _courseId: 'c2', title: 'two' },
+      { _id: 'c3', _type: 'course' }, { _id: 'a3', _courseId: 'c3', title: 'three' }
+    ]
+
+    it('should restore the plugin and the content of every course migrated so far when a migration fails', async () => {
+      const db = createDb({ content: structuredClone(content) })
+      const instance = createInstance({
+        collectionName: 'contentplugins',
+        find: async () => [existing],
+        findRepositoryUpdate: async () => null,
+        prePluginUpdateHook: new Hook(),
+        readFrameworkPluginVersions: async () => ({}),
+        getPluginUses: async () => [{ _id: 'c1' }, { _id: 'c2' }, { _id: 'c3' }],
+        processPluginSchemas: mock.fn(async () => {}),
+        update: mock.fn(async (query, data) => ({ ...existing, ...data })),
+        framework: {
+          path: '/nonexistent',
+          runCliCommand: mock.fn(async command => command === 'updatePlugins' ? [{ _sourceInfo: { version: '2.0.0' } }] : []),
+          migrateCourses: async ({ courseIds: [courseId] }) => {
+            db.collections.get('content').find(d => d._courseId === courseId).title = 'migrated'
+            if (courseId === 'c2') throw new Error('migration failed')
+          }
+        }
+      }, { content: { collectionName: 'content' }, mongodb: db })
+
+      await assert.rejects(instance.updatePlugin('p1'), { code: 'CONTENTPLUGIN_UPDATE_FAILED', data: { name: 'adapt-contrib-text', step: 'migration', error: 'migration failed' } })
+
+      const sortById = items => [...items].sort((a, b) => a._id.localeCompare(b._id))
+      assert.deepEqual(sortById(db.collections.get('content')), sortById(content))
+      assert.deepEqual([...db.collections.keys()], ['content'])
+      assert.deepEqual(instance.update.mock.calls.at(-1).arguments, [{ _id: 'p1' }, { name: 'adapt-contrib-text', version: '1.0.0', isLocalInstall: false }])
+      assert.deepEqual(instance.framework.runCliCommand.mock.calls.map(c => c.arguments[0]), ['updatePlugins', 'installPlugins', 'getPluginUpdateInfos'])
+    })
+  })
+
+  describe('#restoreCourseContent()', () => {
+    const snapshot = [{ _id: 'c1', _type: 'course' }, { _id: 'a1', _courseId: 'c1', title: 'one' }]
+
+    it('should replace the course content within a transaction', async () => {
+      const session = { withTransaction: mock.fn(fn => fn()), endSession: mock.fn(async () => {}) }
+      const db = createDb({ content: [{ _id: 'a1', _courseId: 'c1', title: 'changed' }, { _id: 'a2', _courseId: 'c2' }], snapshot }, session)
+      const instance = createInstance({}, { content: { collectionName: 'content' }, mongodb: db })
+
+      await instance.restoreCourseContent('c1', 'snapshot')
+
+      assert.deepEqual(db.collections.get('content'), [{ _id: 'a2', _courseId: 'c2' }, ...snapshot])
+      assert.equal(session.withTransaction.mock.callCount(), 1)
+      assert.equal(session.endSession.mock.callCount(), 1)
+    })
+
+    it('should replace the course content without a transaction if the DB does not support them', async () => {
+      const session = {
+        withTransaction: async () => { throw Object.assign(new Error('Transaction numbers are only allowed on a replica set member or mongos'), { codeName: 'IllegalOperation' }) },
+        endSession: async () => {}
+      }
+      const db = createDb({ content: [{ _id: 'a1', _courseId: 'c1', title: 'changed' }], snapshot }, session)
+      const instance = createInstance({}, { content: { collectionName: 'content' }, mongodb: db })
+
+      await instance.restoreCourseContent('c1', 'snapshot')
+
+      assert.deepEqual(db.collections.get('content'), snapshot)
+    })
+  })
+
+  describe('#restorePlugin()', () => {
+    const existing = { _id: 'p1', name: 'adapt-contrib-text', version: '2.0.0', isLocalInstall: true }
+    let pluginDir
+
+    afterEach(() => fs.rm(pluginDir, { recursive: true, force: true }))
+
+    /** Writes a plugin's files to pluginDir */
+    async function writePlugin (dir, version) {
+      await fs.mkdir(path.join(pluginDir, dir))
+      await fs.writeFile(path.join(pluginDir, dir, 'package.json'), JSON.stringify({ name: 'adapt-contrib-text', version }))
+    }
+
+    it('should put the current version back if the reinstall fails', async () => {
+      pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'restore-test-'))
+      await writePlugin('adapt-contrib-text', '2.0.0')
+      await writePlugin('adapt-contrib-text-v1.0.0', '1.0.0')
+      const instance = createInstance({
+        findOne: async () => existing,
+        getPluginUses: async () => [],
+        getConfig: () => pluginDir,
+        update: mock.fn(async () => {}),
+        processPluginSchemas: async () => {},
+        framework: {
+          path: pluginDir,
+          runCliCommand: mock.fn(async command => command === 'installPlugins' && instance.framework.runCliCommand.mock.callCount() === 1 ? [{ isInstallSuccessful: false }] : [])
+        }
+      })
+
+      await assert.rejects(instance.restorePlugin('p1', '1.0.0'), { code: 'CONTENTPLUGIN_CLI_INSTALL_FAILED' })
+
+      const { version } = JSON.parse(await fs.readFile(path.join(pluginDir, 'adapt-contrib-text', 'package.json')))
+      assert.equal(version, '2.0.0')
+      assert.ok((await fs.readdir(pluginDir)).includes('adapt-contrib-text-v1.0.0'))
+      assert.deepEqual(instance.framework.runCliCommand.mock.calls.map(c => c.arguments), [
+        ['installPlugins', { plugins: [`adapt-contrib-text@${path.join(pluginDir, 'adapt-contrib-text')}`] }],
+        ['installPlugins', { plugins: [`adapt-contrib-text@${path.join(pluginDir, 'adapt-contrib-text')}`] }],
+        ['getPluginUpdateInfos', { plugins: ['adapt-contrib-text'] }]
+      ])
+      assert.equal(instance.update.mock.callCount(), 0)
+    })
+
+    it('should leave the current version alone if the backup cannot be found', async () => {
+      pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'restore-test-'))
+      await writePlugin('adapt-contrib-text', '2.0.0')
+      const instance = createInstance({
+        findOne: async () => existing,
+        getPluginUses: async () => [],
+        getConfig: () => pluginDir,
+        framework: { path: pluginDir, runCliCommand: mock.fn(async () => []) }
+      })
+
+      await assert.rejects(instance.restorePlugin('p1', '1.0.0'), { code: 'NOT_FOUND' })
+
+      assert.deepEqual(await fs.readdir(pluginDir), ['adapt-contrib-text'])
+      assert.equal(instance.framework.runCliCommand.mock.callCount(), 0)
+    })
+  })
+
+  describe('#delete()', () => {
+    const plugins = [
+      { _id: 'p1', name: 'adapt-contrib-core', version: '1.0.0' },
+      { _id: 'p2', name: 'adapt-contrib-text', version: '1.0.0', pluginDependencies: { 'adapt-contrib-core': '*' } }
+    ]
+
+    /** Creates an instance with the plugins above, recording every change made */
+    function createDeleteInstance () {
+      const superDelete = mock.method(AbstractApiModule.prototype, 'delete', async query => query)
+      const instance = createInstance({
+        findOne: async ({ _id }) => plugins.find(p => p._id === _id),
+        find: async () => plugins,
+        getRetainedPluginUses: async () => [],
+        pruneUnusedPluginUses: mock.fn(async () => {}),
+        invokePostHook: async () => {},
+        framework: { runCliCommand: mock.fn(async () => []) }
+      }, { jsonschema: { deregisterSchema: () => {} } })
+      return { instance, superDelete }
+    }
+
+    it('should invoke the pre-uninstall hook for every cascaded plugin before anything is changed', async () => {
+      const { instance, superDelete } = createDeleteInstance()
+      const invoked = []
+      instance.preUninstallHook.tap(p => {
+        invoked.push([p.name, instance.pruneUnusedPluginUses.mock.callCount(), instance.framework.runCliCommand.mock.callCount()])
+      })
+
+      await instance.delete({ _id: 'p1' }, { cascade: true, pruneUnused: true })
+
+      assert.deepEqual(invoked, [['adapt-contrib-text', 0, 0], ['adapt-contrib-core', 0, 0]])
+      assert.deepEqual(instance.framework.runCliCommand.mock.calls.map(c => c.arguments[1].plugins), [['adapt-contrib-text'], ['adapt-contrib-core']])
+      assert.deepEqual(superDelete.mock.calls.map(c => c.arguments[0]), [{ _id: 'p2' }, { _id: 'p1' }])
+    })
+
+    it('should leave everything as it was when a cascaded plugin is vetoed', async () => {
+      const { instance, superDelete } = createDeleteInstance()
+      const error = new Error('vetoed')
+      instance.preUninstallHook.tap(p => {
+        if (p.name === 'adapt-contrib-text') throw error
+      })
+
+      await assert.rejects(instance.delete({ _id: 'p1' }, { cascade: true, pruneUnused: true }), error)
+
+      assert.equal(instance.pruneUnusedPluginUses.mock.callCount(), 0)
+      assert.equal(instance.framework.runCliCommand.mock.callCount(), 0)
+      assert.equal(superDelete.mock.callCount(), 0)
+      assert.deepEqual(instance.recordHistory.mock.calls.map(c => c.arguments), [
+        [{ action: 'uninstall', name: 'adapt-contrib-core', userId: undefined, fromVersion: '1.0.0', courses: [] }, error]
+      ])
+    })
+  })
+
+  describe('#enablePluginForCourse()', () => {
+    const plugins = [
+      { _id: 'p1', name: 'adapt-contrib-vanilla', type: 'theme', version: '1.0.0' },
+      { _id: 'p2', name: 'adapt-theme-other', type: 'theme', version: '1.0.0' },
+      { _id: 'p3', name: 'adapt-contrib-text', type: 'component', version: '1.0.0' }
+    ]
+
+    /** Creates an instance with the plugins above, and a course config with the given values */
+    function createEnableInstance (config) {
+      const content = { update: mock.fn(async () => {}) }
+      const instance = createInstance({
+        findOne: async ({ _id }) => plugins.find(p => p._id === _id),
+        find: async () => plugins,
+        getCourseConfig: async () => ({ _id: 'config1', ...config })
+      }, { content })
+      return { instance, content }
+    }
+
+    it('should replace the course\'s theme when enabling another theme', async () => {
+      const { instance, content } = createEnableInstance({ _theme: 'adapt-contrib-vanilla', _enabledPlugins: ['adapt-contrib-vanilla', 'adapt-contrib-text'] })
+
+      const result = await instance.enablePluginForCourse('p2', 'c1')
+
+      assert.deepEqual(result, { courseId: 'c1', _enabledPlugins: ['adapt-contrib-text', 'adapt-theme-other'], added: ['adapt-theme-other'], removed: ['adapt-contrib-vanilla'] })
+      assert.deepEqual(content.update.mock.calls[0].arguments, [{ _id: 'config1' }, { _enabledPlugins: ['adapt-contrib-text', 'adapt-theme-other'], _theme: 'adapt-theme-other' }])
+    })
+
+    it('should set the course\'s theme when enabling a theme which is already enabled', async () => {
+      const { instance, content } = createEnableInstance({ _enabledPlugins: ['adapt-theme-other'] })
+
+      const result = await instance.enablePluginForCourse('p2', 'c1')
+
+      assert.deepEqual(result.removed, [])
+      assert.deepEqual(content.update.mock.calls[0].arguments, [{ _id: 'config1' }, { _enabledPlugins: ['adapt-theme-other'], _theme: 'adapt-theme-other' }])
+    })
+
+    it('should not change other plugin types', async () => {
+      const { instance, content } = createEnableInstance({ _theme: 'adapt-contrib-vanilla', _enabledPlugins: ['adapt-contrib-vanilla'] })
+
+      await instance.enablePluginForCourse('p3', 'c1')
+
+      assert.deepEqual(content.update.mock.calls[0].arguments, [{ _id: 'config1' }, { _enabledPlugins: ['adapt-contrib-vanilla', 'adapt-contrib-text'] }])
+    })
+  })
+
+  describe('#installPlugins()', () => {
+    it('should remove the dependencies installed for a plugin which fails to install', async () => {
+      const error = new Error('install failed')
+      const instance = createInstance({
+        installPlugin: async (name, version, { installedDependencies }) => {
+          installedDependencies.push({ _id: 'd1', name: 'adapt-contrib-core' }, { _id: 'd2', name: 'adapt-contrib-text' })
+          throw error
+        },
+        delete: mock.fn(async () => {})
+      })
+
+      await assert.rejects(instance.installPlugins([['adapt-contrib-mcq', '1.0.0']], { strict: true }), { code: 'CONTENTPLUGIN_INSTALL_FAILED', data: { errors: [error] } })
+
+      assert.deepEqual(instance.delete.mock.calls.map(c => c.arguments[0]), [{ _id: 'd2' }, { _id: 'd1' }])
+    })
+  })
+
+  describe('#installPlugin()', () => {
+    const existing = { _id: 'p1', name: 'adapt-contrib-text', version: '1.0.0', isLocalInstall: false }
+
+    /** Creates an instance for a registry install whose installed manifest has a clashing targetAttribute */
+    function createInstallInstance (existingPlugin) {
+      return createInstance({
+        resolvePluginArchive: async () => null,
+        getRegistryPluginInfo: async () => null,
+        findOne: async () => existingPlugin,
+        find: async () => [{ name: 'adapt-contrib-other', targetAttribute: '_text' }],
+        preInstallHook: new Hook(),
+        update: mock.fn(async () => {}),
+        processPluginSchemas: async () => {},
+        framework: {
+          path: '/nonexistent',
+          version: '5.0.0',
+          runCliCommand: mock.fn(async command => command === 'installPlugins'
+            ? [{ getInfo: async () => ({ name: 'adapt-contrib-text', version: '2.0.0', targetAttribute: '_text' }) }]
+            : [])
+        }
+      })
+    }
+
+    it('should reinstall the existing version when the new version is rejected once installed', async () => {
+      const instance = createInstallInstance(existing)
+
+      await assert.rejects(instance.installPlugin('adapt-contrib-text', '2.0.0', {}), { code: 'CONTENTPLUGIN_ATTR_CLASH' })
+
+      assert.deepEqual(instance.framework.runCliCommand.mock.calls.map(c => c.arguments), [
+        ['installPlugins', { plugins: ['adapt-contrib-text@2.0.0'] }],
+        ['installPlugins', { plugins: ['adapt-contrib-text@1.0.0'] }],
+        ['getPluginUpdateInfos', { plugins: ['adapt-contrib-text'] }]
+      ])
+      assert.equal(instance.update.mock.callCount(), 0)
+      assert.equal(instance.recordHistory.mock.calls[0].arguments[1].code, 'CONTENTPLUGIN_ATTR_CLASH')
+    })
+
+    it('should uninstall a new plugin which is rejected once installed', async () => {
+      const instance = createInstallInstance(null)
+
+      await assert.rejects(instance.installPlugin('adapt-contrib-text', '2.0.0', {}), { code: 'CONTENTPLUGIN_ATTR_CLASH' })
+
+      assert.deepEqual(instance.framework.runCliCommand.mock.calls.map(c => c.arguments).at(-1), ['uninstallPlugins', { plugins: ['adapt-contrib-text'] }])
+    })
+  })
+
+  describe('#installHandler()', () => {
+    it('should queue a copy of the upload which outlives the request', async () => {
+      const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'))
+      const uploadPath = path.join(uploadDir, 'upload_123')
+      await fs.writeFile(uploadPath, 'archive')
+      const middleware = { zipTypes: [], fileUploadParser: () => async () => {} }
+      const jobs = { add: mock.fn(async (action, args) => ({ action, args })) }
+      const instance = createInstance({ jobs, tarballTypes: [] }, { middleware })
+      const req = {
+        query: { async: 'true' },
+        body: { name: 'adapt-contrib-text' },
+        fileUpload: { files: { file: [{ filepath: uploadPath, originalFilename: 'adapt-contrib-text.zip' }] } },
+        auth: { user: { _id: 'u1' } }
+      }
+      const res = { status: () => res, send: mock.fn() }
+
+      await instance.installHandler(req, res, () => {})
+      await fs.rm(uploadDir, { recursive: true, force: true })
+
+      const [action, { plugins: [[name, copyPath]], uploadDir: jobDir }] = jobs.add.mock.calls[0].arguments
+      assert.equal(action, 'install')
+      assert.equal(name, 'adapt-contrib-text')
+      assert.equal(path.dirname(copyPath), jobDir)
+      assert.equal(await fs.readFile(copyPath, 'utf8'), 'archive')
+      await fs.rm(jobDir, { recursive: true, force: true })
+    })
+  })
+
+  describe('#usesHandler()', () => {
+    it('should count the courses after leaving out configs without a course or creator', async () => {
+      const pipelines = []
+      const db = { getCollection: () => ({ aggregate: pipeline => ({ toArray: async () => pipelines.push(pipeline) && [{ total: 3 }] }) }) }
+      const instance = createInstance({
+        findOne: async () => ({ _id: 'p1', name: 'adapt-contrib-text' }),
+        getPluginUses: mock.fn(async () => [])
+      }, { content: { collectionName: 'content' }, mongodb: db })
+
+      assert.equal(await instance.countPluginUses('p1'), 3)
+      const stages = pipelines[0].map(stage => Object.keys(stage)[0])
+      assert.equal(stages.at(-1), '$count')
+      assert.equal(stages.at(-2), '$unwind')
+    })
+
+    it('should paginate by the number of courses listed', async () => {
+      const headers = {}
+      const res = { set: (k, v) => { headers[k] = v }, status: () => res, send: mock.fn() }
+      const instance = createInstance({
+        getConfig: key => ({ maxPageSize: 250, defaultPageSize: 100 })[key],
+        countPluginUses: async () => 3,
+        getPluginUses: mock.fn(async () => [])
+      })
+      const req = { params: { _id: 'p1' }, query: { page: '2', limit: '2' }, originalUrl: '/api/contentplugins/p1/uses?page=2&limit=2' }
+
+      await instance.usesHandler(req, res, () => {})
+
+      assert.deepEqual(headers, {
+        'X-Adapt-Page': 2,
+        'X-Adapt-PageSize': 2,
+        'X-Adapt-PageTotal': 2,
+        'X-Adapt-Total': 3,
+        Link: '</api/contentplugins/p1/uses?limit=2&page=1>; rel="first", </api/contentplugins/p1/uses?limit=2&page=1>; rel="prev"'
+      })
+      assert.deepEqual(instance.getPluginUses.mock.calls[0].arguments, ['p1', { includeContent: true, skip: 2, limit: 2 }])
+    })
+  })
+})
@@ -1,8 +1,10 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test'
 import assert from 'node:assert/strict'
+import { execFile } from 'child_process'
 import fs from 'fs/promises'
 import path from 'path'
 import os from 'os'
+import { promisify } from 'util'
 
 import { readJson } from 'adapt-authoring-core'
 import {
@@ -10,7 +12,10 @@ import {
   getMostRecentBackup,
   cleanupOldPluginBackups,
   restorePluginFromBackup,
-  processPluginFiles
+  processPluginFiles,
+  readBackupManifest,
+  hashPluginDir,
+  extractPluginArchive
 } from '../lib/utils.js'
 
 // ---------------------------------------------------------------------------
@@ -154,6 +159,41 @@ describe('backupPluginVersion()', () => {
     assert.ok(infoCalls[0].arguments[1].includes('adapt-text'))
   })
 
+  it('should record the backup in the backup manifest', async () => {
+    const pluginPath = await createPlugin('adapt-hotgrid', '4.3.5')
+
+    await backupPluginVersion(pluginPath, 'adapt-hotgrid', log)
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.equal(entry.backups.length, 1)
+    assert.equal(entry.backups[0].version, '4.3.5')
+    assert.equal(entry.backups[0].dir, 'adapt-hotgrid-v4.3.5')
+    assert.ok(!isNaN(Date.parse(entry.backups[0].createdAt)))
+  })
+
+  it('should carry the source of the installed files over to the backup', async () => {
+    const pluginPath = await createPlugin('adapt-hotgrid', '4.3.5')
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': { source: 'hotgrid-4.3.5.zip', backups: [] }
+    }))
+
+    await backupPluginVersion(pluginPath, 'adapt-hotgrid', log)
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.equal(entry.backups[0].source, 'hotgrid-4.3.5.zip')
+  })
+
+  it('should replace the manifest entry of a stale backup', async () => {
+    const pluginPath = await createPlugin('adapt-hotgrid', '4.3.5')
+    await backupPluginVersion(pluginPath, 'adapt-hotgrid', log)
+    await createPlugin('adapt-hotgrid', '4.3.5')
+
+    await backupPluginVersion(pluginPath, 'adapt-hotgrid', log)
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.equal(entry.backups.length, 1)
+  })
+
   it('should work without a log callback', async () => {
     const pluginPath = await createPlugin('adapt-nolog', '1.0.0')
 
@@ -283,6 +323,36 @@ describe('cleanupOldPluginBackups()', () => {
     // adapt-text backup should be untouched
     await fs.access(path.join(tmpDir, 'adapt-text-v1.0.0'))
   })
+
+  it('should keep the number of backups set by maxBackups', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v3.0.0'))
+
+    await cleanupOldPluginBackups(tmpDir, 'adapt-hotgrid', log, { maxBackups: 2 })
+
+    await fs.access(path.join(tmpDir, 'adapt-hotgrid-v3.0.0'))
+    await fs.access(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+    await assert.rejects(() => fs.access(path.join(tmpDir, 'adapt-hotgrid-v1.0.0')), { code: 'ENOENT' })
+  })
+
+  it('should remove deleted backups from the backup manifest', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': {
+        backups: [
+          { version: '2.0.0', dir: 'adapt-hotgrid-v2.0.0' },
+          { version: '1.0.0', dir: 'adapt-hotgrid-v1.0.0' }
+        ]
+      }
+    }))
+
+    await cleanupOldPluginBackups(tmpDir, 'adapt-hotgrid', log)
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.deepEqual(entry.backups.map(b => b.dir), ['adapt-hotgrid-v2.0.0'])
+  })
 })
 
 // ---------------------------------------------------------------------------
@@ -335,6 +405,65 @@ describe('restorePluginFromBackup()', () => {
     assert.equal(result.version, '2.0.0')
   })
 
+  it('should back up the current plugin directory before restoring', async () => {
+    const pluginPath = path.join(tmpDir, 'adapt-hotgrid')
+    await fs.mkdir(pluginPath)
+    await fs.writeFile(path.join(pluginPath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '3.0.0' }))
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': { source: 'hotgrid-3.zip', integrity: 'sha256-current', backups: [{ version: '2.0.0', dir: 'adapt-hotgrid-v2.0.0' }] }
+    }))
+    const backupDir = path.join(tmpDir, 'adapt-hotgrid-v2.0.0')
+    await fs.mkdir(backupDir)
+    await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '2.0.0' }))
+
+    await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log, { version: '2.0.0' })
+
+    const currentBackup = await readJson(path.join(tmpDir, 'adapt-hotgrid-v3.0.0', 'package.json'))
+    assert.equal(currentBackup.version, '3.0.0')
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.deepEqual(entry.backups.map(({ version, dir, source, integrity }) => ({ version, dir, source, integrity })), [
+      { version: '3.0.0', dir: 'adapt-hotgrid-v3.0.0', source: 'hotgrid-3.zip', integrity: 'sha256-current' }
+    ])
+  })
+
+  it('should keep both copies when restoring a backup of the current version', async () => {
+    const pluginPath = path.join(tmpDir, 'adapt-hotgrid')
+    await fs.mkdir(pluginPath)
+    await fs.writeFile(path.join(pluginPath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '2.0.0' }))
+    await fs.writeFile(path.join(pluginPath, 'index.js'), 'modified')
+    const backupDir = path.join(tmpDir, 'adapt-hotgrid-v2.0.0')
+    await fs.mkdir(backupDir)
+    await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '2.0.0' }))
+    await fs.writeFile(path.join(backupDir, 'index.js'), 'original')
+
+    await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log)
+
+    assert.equal(await fs.readFile(path.join(pluginPath, 'index.js'), 'utf8'), 'original')
+    assert.equal(await fs.readFile(path.join(backupDir, 'index.js'), 'utf8'), 'modified')
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.deepEqual(entry.backups.map(b => b.dir), ['adapt-hotgrid-v2.0.0'])
+  })
+
+  it('should restore a specific version when one is given', async () => {
+    for (const version of ['1.0.0', '2.0.0']) {
+      const backupDir = path.join(tmpDir, `adapt-hotgrid-v${version}`)
+      await fs.mkdir(backupDir)
+      await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version }))
+    }
+    const result = await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log, { version: '1.0.0' })
+
+    assert.equal(result.version, '1.0.0')
+    await fs.access(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+  })
+
+  it('should return null when the requested version has no backup', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+
+    const result = await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log, { version: '3.0.0' })
+
+    assert.equal(result, null)
+  })
+
   it('should read version from bower.json if no package.json', async () => {
     const backupDir = path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
     await fs.mkdir(backupDir)
@@ -356,6 +485,60 @@ describe('restorePluginFromBackup()', () => {
     )
   })
 
+  it('should leave the current files alone when the backup has no package.json or bower.json', async () => {
+    const pluginPath = path.join(tmpDir, 'adapt-hotgrid')
+    await fs.mkdir(pluginPath)
+    await fs.writeFile(path.join(pluginPath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '2.0.0' }))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+
+    await assert.rejects(() => restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log))
+
+    assert.deepEqual((await fs.readdir(tmpDir)).sort(), ['adapt-hotgrid', 'adapt-hotgrid-v1.0.0'])
+    assert.equal(JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'))).version, '2.0.0')
+  })
+
+  it('should remove the restored backup from the backup manifest', async () => {
+    const backupDir = path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
+    await fs.mkdir(backupDir)
+    await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': { backups: [{ version: '1.0.0', dir: 'adapt-hotgrid-v1.0.0', source: 'hotgrid.zip' }] }
+    }))
+
+    await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log)
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(tmpDir)
+    assert.deepEqual(entry.backups, [])
+    assert.equal(entry.source, 'hotgrid.zip')
+  })
+
+  it('should return the integrity hash of the restored files', async () => {
+    const backupDir = path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
+    await fs.mkdir(backupDir)
+    await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+    const integrity = await hashPluginDir(backupDir)
+
+    const result = await restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log)
+
+    assert.equal(result.integrity, integrity)
+  })
+
+  it('should refuse to restore a backup which has been modified since it was made', async () => {
+    const backupDir = path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
+    await fs.mkdir(backupDir)
+    await fs.writeFile(path.join(backupDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': { backups: [{ version: '1.0.0', dir: 'adapt-hotgrid-v1.0.0', integrity: await hashPluginDir(backupDir) }] }
+    }))
+    await fs.writeFile(path.join(backupDir, 'index.js'), 'tampered')
+
+    await assert.rejects(
+      () => restorePluginFromBackup(tmpDir, 'adapt-hotgrid', log),
+      { integrityMismatch: true }
+    )
+    await assert.rejects(() => fs.access(path.join(tmpDir, 'adapt-hotgrid')), { code: 'ENOENT' })
+  })
+
   it('should log an info message on success', async () => {
     const backupDir = path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
     await fs.mkdir(backupDir)
@@ -426,6 +609,106 @@ describe('processPluginFiles()', () => {
     await assert.rejects(() => fs.access(sourcePath), { code: 'ENOENT' })
   })
 
+  it('should return and record the integrity hash of the copied files', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(
+      path.join(sourcePath, 'package.json'),
+      JSON.stringify({ name: 'adapt-hotgrid', version: '4.3.5' })
+    )
+    await fs.writeFile(path.join(sourcePath, 'index.js'), 'module.exports = {}')
+
+    const result = await processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log)
+
+    assert.equal(result.integrity, await hashPluginDir(path.join(pluginDir, 'adapt-hotgrid')))
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(pluginDir)
+    assert.equal(entry.integrity, result.integrity)
+  })
+
+  it('should copy the files of an extracted npm pack tarball', async () => {
+    // npm pack puts everything under a package/ root
+    const packDir = path.join(tmpDir, 'pack', 'package')
+    await fs.mkdir(packDir, { recursive: true })
+    await fs.writeFile(path.join(packDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '4.3.5' }))
+    await fs.writeFile(path.join(packDir, 'index.js'), 'module.exports = {}')
+    const tarball = path.join(tmpDir, 'adapt-hotgrid-4.3.5.tgz')
+    await promisify(execFile)('tar', ['-czf', tarball, '-C', path.dirname(packDir), 'package'])
+    const sourcePath = await extractPluginArchive(tarball, path.join(tmpDir, 'extracted'))
+
+    const result = await processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log)
+
+    assert.equal(result.version, '4.3.5')
+    assert.deepEqual((await fs.readdir(path.join(pluginDir, 'adapt-hotgrid'))).sort(), ['index.js', 'package.json'])
+  })
+
+  it('should keep relative symlinks pointing inside the copied plugin', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(path.join(sourcePath, 'js'), { recursive: true })
+    await fs.writeFile(path.join(sourcePath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '4.3.5' }))
+    await fs.writeFile(path.join(sourcePath, 'js', 'hotgrid.js'), 'module.exports = {}')
+    await fs.symlink('js/hotgrid.js', path.join(sourcePath, 'index.js'))
+
+    await processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log)
+
+    const linkPath = path.join(pluginDir, 'adapt-hotgrid', 'index.js')
+    assert.equal(await fs.readlink(linkPath), 'js/hotgrid.js')
+    assert.equal(await fs.readFile(linkPath, 'utf8'), 'module.exports = {}')
+  })
+
+  it('should reject a plugin name which is unsafe to use as a directory', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(
+      path.join(sourcePath, 'package.json'),
+      JSON.stringify({ name: '../../escaped', version: '1.0.0' })
+    )
+    await fs.writeFile(path.join(sourcePath, 'index.js'), 'module.exports = {}')
+
+    await assert.rejects(
+      () => processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log),
+      { reason: 'unsafe plugin name' }
+    )
+    await assert.rejects(() => fs.access(path.join(tmpDir, 'escaped')), { code: 'ENOENT' })
+  })
+
+  it('should reject files which break the configured limits before copying anything', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(
+      path.join(sourcePath, 'package.json'),
+      JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' })
+    )
+    await fs.writeFile(path.join(sourcePath, 'install.exe'), '')
+
+    await assert.rejects(
+      () => processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log, { limits: { disallowedExtensions: ['.exe'] } }),
+      { reason: 'disallowed file type' }
+    )
+    await assert.rejects(() => fs.access(path.join(pluginDir, 'adapt-hotgrid')), { code: 'ENOENT' })
+  })
+
+  it('should validate the manifest before copying anything', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(
+      path.join(sourcePath, 'package.json'),
+      JSON.stringify({ name: 'adapt-hotgrid', version: 'not-semver' })
+    )
+    await fs.writeFile(path.join(sourcePath, 'index.js'), 'module.exports = {}')
+    const validated = []
+    const validateManifest = async pkg => {
+      validated.push(pkg.name)
+      throw new Error('invalid manifest')
+    }
+
+    await assert.rejects(
+      () => processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log, { validateManifest }),
+      /invalid manifest/
+    )
+    assert.deepEqual(validated, ['adapt-hotgrid'])
+    await assert.rejects(() => fs.access(path.join(pluginDir, 'adapt-hotgrid')), { code: 'ENOENT' })
+  })
+
   it('should fall back to bower.json when package.json is absent', async () => {
     const sourcePath = path.join(tmpDir, 'source', 'adapt-vanilla')
     await fs.mkdir(sourcePath, { recursive: true })
@@ -510,4 +793,36 @@ describe('processPluginFiles()', () => {
     const pkg = await readJson(path.join(pluginDir, 'adapt-hotgrid', 'package.json'))
     assert.equal(pkg.version, '4.0.0')
   })
+
+  it('should keep the number of backups set by maxBackups', async () => {
+    await fs.mkdir(path.join(pluginDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(pluginDir, 'adapt-hotgrid-v2.0.0'))
+    const existingPath = path.join(pluginDir, 'adapt-hotgrid')
+    await fs.mkdir(existingPath)
+    await fs.writeFile(path.join(existingPath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '3.0.0' }))
+
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(path.join(sourcePath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '4.0.0' }))
+    await fs.writeFile(path.join(sourcePath, 'index.js'), '')
+
+    await processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log, { maxBackups: 2 })
+
+    await fs.access(path.join(pluginDir, 'adapt-hotgrid-v3.0.0'))
+    await fs.access(path.join(pluginDir, 'adapt-hotgrid-v2.0.0'))
+    await assert.rejects(() => fs.access(path.join(pluginDir, 'adapt-hotgrid-v1.0.0')), { code: 'ENOENT' })
+  })
+
+  it('should record the source of the installed files in the backup manifest', async () => {
+    const sourcePath = path.join(tmpDir, 'source', 'adapt-hotgrid')
+    await fs.mkdir(sourcePath, { recursive: true })
+    await fs.writeFile(path.join(sourcePath, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '4.0.0' }))
+    await fs.writeFile(path.join(sourcePath, 'index.js'), '')
+
+    await processPluginFiles({ name: 'adapt-hotgrid', sourcePath }, pluginDir, log, { source: 'hotgrid-4.0.0.zip' })
+
+    const { 'adapt-hotgrid': entry } = await readBackupManifest(pluginDir)
+    assert.equal(entry.source, 'hotgrid-4.0.0.zip')
+    assert.ok(!isNaN(Date.parse(entry.installedAt)))
+  })
 })
@@ -0,0 +1,272 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+import PluginJobQueue from '../lib/PluginJobQueue.js'
+
+/** Minimal in-memory stand-in for the MongoDB collection API used by the queue */
+function createCollection (docs = []) {
+  const matches = (doc, query) => Object.entries(query).every(([k, v]) => doc[k] === v)
+  return {
+    docs,
+    async insertOne (doc) { docs.push({ ...doc }) },
+    async findOne (query, { sort } = {}) {
+      const results = docs.filter(d => matches(d, query))
+      if (sort?.createdAt) results.sort((a, b) => a.createdAt - b.createdAt)
+      return results[0] ? { ...results[0] } : null
+    },
+    async updateOne (query, { $set }) {
+      const doc = docs.find(d => matches(d, query))
+      if (doc) Object.assign(doc, $set)
+    },
+    async updateMany (query, { $set }) {
+      docs.filter(d => matches(d, query)).forEach(d => Object.assign(d, $set))
+    }
+  }
+}
+
+function waitForIdle (queue) {
+  return new Promise(resolve => {
+    const check = () => queue.isProcessing ? setImmediate(check) : resolve()
+    setImmediate(check)
+  })
+}
+
+describe('PluginJobQueue', () => {
+  let collection
+
+  beforeEach(() => {
+    collection = createCollection()
+  })
+
+  describe('#add()', () => {
+    it('should store a queued job and return it', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: { install: () => new Promise(() => {}) } })
+      const job = await queue.add('install', { plugins: [['adapt-contrib-text', '1.0.0']] })
+
+      assert.equal(typeof job._id, 'string')
+      assert.equal(job.action, 'install')
+      assert.equal(collection.docs.length, 1)
+    })
+
+    it('should reject unknown actions', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: {} })
+      await assert.rejects(queue.add('reticulate'), /Unknown job action/)
+    })
+  })
+
+  describe('#process()', () => {
+    it('should record the result and steps of a successful job', async () => {
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          update: async ({ _id }, onProgress) => {
+            await onProgress('cli')
+            return { _id, version: '2.0.0' }
+          }
+        }
+      })
+      const { _id } = await queue.add('update', { _id: 'abc' })
+      await waitForIdle(queue)
+      const job = await queue.get(_id)
+
+      assert.equal(job.status, 'completed')
+      assert.equal(job.step, 'cli')
+      assert.deepEqual(job.result, { _id: 'abc', version: '2.0.0' })
+    })
+
+    it('should record the error of a failed job', async () => {
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          uninstall: async () => {
+            throw Object.assign(new Error('in use'), { code: 'CONTENTPLUGIN_IN_USE', statusCode: 400, data: { courses: [] } })
+          }
+        }
+      })
+      const { _id } = await queue.add('uninstall', { _id: 'abc' })
+      await waitForIdle(queue)
+      const job = await queue.get(_id)
+
+      assert.equal(job.status, 'failed')
+      assert.equal(job.error.code, 'CONTENTPLUGIN_IN_USE')
+      assert.equal(job.error.statusCode, 400)
+    })
+
+    it('should only run one job at a time, in the order they were added', async () => {
+      const events = []
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          install: async ({ name }) => {
+            events.push(`start ${name}`)
+            await new Promise(resolve => setTimeout(resolve, 5))
+            events.push(`end ${name}`)
+          }
+        }
+      })
+      await queue.add('install', { name: 'a' })
+      await queue.add('install', { name: 'b' })
+      await waitForIdle(queue)
+
+      assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b'])
+    })
+  })
+
+  describe('events', () => {
+    it('should emit started, progress and completed events for a job', async () => {
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          install: async (args, onProgress) => {
+            await onProgress('cli', { name: 'adapt-contrib-text' })
+            return 'done'
+          }
+        }
+      })
+      const events = []
+      queue.on('event', (_id, { event, data }) => events.push({ _id, event, data }))
+      const { _id } = await queue.add('install')
+      await waitForIdle(queue)
+
+      assert.deepEqual(events, [
+        { _id, event: 'started', data: { action: 'install' } },
+        { _id, event: 'progress', data: { step: 'cli', name: 'adapt-contrib-text' } },
+        { _id, event: 'completed', data: { result: 'done' } }
+      ])
+      assert.deepEqual((await queue.get(_id)).progress, { name: 'adapt-contrib-text' })
+    })
+
+    it('should emit a failed event for a failed job', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: { install: async () => { throw new Error('boom') } } })
+      const events = []
+      queue.on('event', (_id, { event, data }) => events.push({ event, data }))
+      await queue.add('install')
+      await waitForIdle(queue)
+
+      assert.equal(events.at(-1).event, 'failed')
+      assert.equal(events.at(-1).data.error.message, 'boom')
+    })
+
+    it('should forward lines logged with the job logger to the job', async () => {
+      const events = []
+      const logged = []
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          install: async (args, onProgress, log) => log('info', 'PLUGIN_INSTALL', 'adapt-contrib-text@1.0.0', { a: 1 }, new Error('oops'))
+        },
+        log: (...args) => logged.push(args)
+      })
+      queue.on('event', (_id, { event, data }) => event === 'log' && events.push(data))
+      await queue.add('install')
+      await waitForIdle(queue)
+
+      assert.deepEqual(events, [{ level: 'info', message: 'PLUGIN_INSTALL adapt-contrib-text@1.0.0 {"a":1} oops' }])
+      assert.equal(logged[0][1], 'PLUGIN_INSTALL')
+    })
+
+    it('should not forward lines logged outside the job', async () => {
+      const events = []
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          install: async () => queue.log('info', 'logged by another request')
+        }
+      })
+      queue.on('event', (_id, { event, data }) => event === 'log' && events.push(data))
+      await queue.add('install')
+      await waitForIdle(queue)
+
+      assert.deepEqual(events, [])
+    })
+
+    it('should log objects which cannot be serialised as JSON', async () => {
+      const events = []
+      const circular = { a: 1 }
+      circular.self = circular
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: { install: async (args, onProgress, log) => log('warn', 'circular', circular) }
+      })
+      queue.on('event', (_id, { event, data }) => events.push({ event, data }))
+      await queue.add('install')
+      await waitForIdle(queue)
+
+      assert.match(events.find(e => e.event === 'log').data.message, /^circular .*a: 1/)
+      assert.equal(events.at(-1).event, 'completed')
+    })
+  })
+
+  describe('#runExclusive()', () => {
+    it('should run operations one at a time, in the order they were added', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: {} })
+      const calls = []
+      const operation = name => async () => {
+        calls.push(`${name} start`)
+        await new Promise(resolve => setImmediate(resolve))
+        calls.push(`${name} end`)
+        return name
+      }
+      const results = await Promise.all([queue.runExclusive(operation('a')), queue.runExclusive(operation('b'))])
+
+      assert.deepEqual(results, ['a', 'b'])
+      assert.deepEqual(calls, ['a start', 'a end', 'b start', 'b end'])
+    })
+
+    it('should run later operations after one fails', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: {} })
+      const failed = queue.runExclusive(async () => { throw new Error('boom') })
+
+      await assert.rejects(failed, /boom/)
+      assert.equal(await queue.runExclusive(async () => 'done'), 'done')
+    })
+
+    it('should not run an operation while a job is running', async () => {
+      const calls = []
+      let finishJob
+      let jobStarted
+      const started = new Promise(resolve => { jobStarted = resolve })
+      const queue = new PluginJobQueue({
+        collection,
+        handlers: {
+          install: async () => {
+            calls.push('job start')
+            jobStarted()
+            await new Promise(resolve => { finishJob = resolve })
+            calls.push('job end')
+          }
+        }
+      })
+      await queue.add('install')
+      await started
+      const operation = queue.runExclusive(async () => calls.push('operation'))
+      finishJob()
+      await operation
+      await waitForIdle(queue)
+
+      assert.deepEqual(calls, ['job start', 'job end', 'operation'])
+    })
+  })
+
+  describe('#init()', () => {
+    it('should fail jobs interrupted by a restart and run queued jobs', async () => {
+      collection = createCollection([
+        { _id: '1', action: 'install', args: {}, status: 'running', createdAt: new Date(1) },
+        { _id: '2', action: 'install', args: {}, status: 'queued', createdAt: new Date(2) }
+      ])
+      const queue = new PluginJobQueue({ collection, handlers: { install: async () => 'done' } })
+      await queue.init()
+      await waitForIdle(queue)
+
+      assert.equal((await queue.get('1')).status, 'failed')
+      assert.equal((await queue.get('2')).status, 'completed')
+    })
+  })
+
+  describe('#get()', () => {
+    it('should return null for an unknown job', async () => {
+      const queue = new PluginJobQueue({ collection, handlers: {} })
+      assert.equal(await queue.get('missing'), null)
+    })
+  })
+})
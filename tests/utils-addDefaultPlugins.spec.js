@@ -111,6 +111,35 @@ describe('addDefaultPlugins', () => {
       assert.deepEqual(data._enabledPlugins, ['plugin-b', 'plugin-a', 'plugin-c'])
     })
 
+    it('should skip disabled plugins', async () => {
+      const contentplugin = createMockContentplugin([{ name: 'plugin-a', isEnabled: false }, { name: 'plugin-b', isEnabled: true }])
+      const data = {}
+      await addDefaultPlugins(contentplugin, data, { schemaName: 'config' })
+      assert.deepEqual(data._enabledPlugins, ['plugin-b'])
+    })
+
+    it('should not create _enabledPlugins when every default plugin is disabled', async () => {
+      const contentplugin = createMockContentplugin([{ name: 'plugin-a', isEnabled: false }])
+      const data = {}
+      await addDefaultPlugins(contentplugin, data, { schemaName: 'config' })
+      assert.equal(data._enabledPlugins, undefined)
+    })
+
+    it('should skip a default theme or menu when the course already enables one', async () => {
+      const plugins = [
+        { name: 'theme-default', type: 'theme', isAddedByDefault: true },
+        { name: 'menu-default', type: 'menu', isAddedByDefault: true },
+        { name: 'extension-default', type: 'extension', isAddedByDefault: true },
+        { name: 'theme-own', type: 'theme' }
+      ]
+      const contentplugin = {
+        find: async ({ isAddedByDefault, name }) => plugins.filter(p => isAddedByDefault ? p.isAddedByDefault : name.$in.includes(p.name))
+      }
+      const data = { _enabledPlugins: ['theme-own'] }
+      await addDefaultPlugins(contentplugin, data, { schemaName: 'config' })
+      assert.deepEqual(data._enabledPlugins, ['theme-own', 'menu-default', 'extension-default'])
+    })
+
     it('should handle _enabledPlugins as empty array', async () => {
       const contentplugin = createMockContentplugin([{ name: 'plugin-a' }])
       const data = { _enabledPlugins: [] }
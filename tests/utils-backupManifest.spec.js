@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+
+import { readBackupManifest } from '../lib/utils/readBackupManifest.js'
+import { updateBackupManifest } from '../lib/utils/updateBackupManifest.js'
+
+describe('backup manifest', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('readBackupManifest()', () => {
+    it('should return an empty object when no manifest exists', async () => {
+      assert.deepEqual(await readBackupManifest(tmpDir), {})
+    })
+
+    it('should return an empty object when the directory does not exist', async () => {
+      assert.deepEqual(await readBackupManifest(path.join(tmpDir, 'nope')), {})
+    })
+  })
+
+  describe('updateBackupManifest()', () => {
+    it('should create an entry with an empty backups list', async () => {
+      let received
+      await updateBackupManifest(tmpDir, 'adapt-hotgrid', entry => {
+        received = entry
+        return entry
+      })
+      assert.deepEqual(received, { backups: [] })
+    })
+
+    it('should persist the updated entry', async () => {
+      await updateBackupManifest(tmpDir, 'adapt-hotgrid', entry => ({ ...entry, source: 'hotgrid.zip' }))
+
+      const manifest = await readBackupManifest(tmpDir)
+      assert.deepEqual(manifest, { 'adapt-hotgrid': { backups: [], source: 'hotgrid.zip' } })
+    })
+
+    it('should leave other plugin entries untouched', async () => {
+      await updateBackupManifest(tmpDir, 'adapt-text', entry => ({ ...entry, source: 'text.zip' }))
+      await updateBackupManifest(tmpDir, 'adapt-hotgrid', entry => ({ ...entry, source: 'hotgrid.zip' }))
+
+      const manifest = await readBackupManifest(tmpDir)
+      assert.equal(manifest['adapt-text'].source, 'text.zip')
+    })
+  })
+})
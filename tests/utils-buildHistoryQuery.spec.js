@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildHistoryQuery } from '../lib/utils/buildHistoryQuery.js'
+
+describe('buildHistoryQuery()', () => {
+  it('should return an empty query when no filters are given', () => {
+    assert.deepEqual(buildHistoryQuery(), {})
+    assert.deepEqual(buildHistoryQuery({ plugin: '', user: undefined }), {})
+  })
+
+  it('should filter by plugin, user and action', () => {
+    assert.deepEqual(buildHistoryQuery({ plugin: 'adapt-contrib-text', user: '123', action: 'update' }), {
+      name: 'adapt-contrib-text',
+      userId: '123',
+      action: 'update'
+    })
+  })
+
+  it('should filter by date range', () => {
+    assert.deepEqual(buildHistoryQuery({ from: '2026-01-01', to: '2026-02-01T12:00:00Z' }), {
+      timestamp: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01T12:00:00Z') }
+    })
+    assert.deepEqual(buildHistoryQuery({ to: '2026-02-01' }), { timestamp: { $lte: new Date('2026-02-01') } })
+  })
+
+  it('should throw on an invalid date, naming the filter', () => {
+    assert.throws(() => buildHistoryQuery({ from: '2026-01-01', to: 'yesterday' }), { param: 'to' })
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildPluginUsageQuery } from '../lib/utils/buildPluginUsageQuery.js'
+
+describe('buildPluginUsageQuery()', () => {
+  it('should match components by _component', () => {
+    assert.deepEqual(buildPluginUsageQuery({ name: 'adapt-contrib-text', type: 'component' }), { _component: 'adapt-contrib-text' })
+  })
+
+  it('should match menus and themes by the config setting', () => {
+    assert.deepEqual(buildPluginUsageQuery({ name: 'adapt-contrib-boxMenu', type: 'menu' }), { _menu: 'adapt-contrib-boxMenu' })
+    assert.deepEqual(buildPluginUsageQuery({ name: 'adapt-contrib-vanilla', type: 'theme' }), { _theme: 'adapt-contrib-vanilla' })
+  })
+
+  it('should match extensions by targetAttribute', () => {
+    assert.deepEqual(buildPluginUsageQuery({ name: 'adapt-contrib-trickle', type: 'extension', targetAttribute: '_trickle' }), {
+      $or: [{ _trickle: { $exists: true } }, { '_extensions._trickle': { $exists: true } }]
+    })
+  })
+
+  it('should return null when usage cannot be detected', () => {
+    assert.equal(buildPluginUsageQuery({ name: 'a', type: 'extension' }), null)
+    assert.equal(buildPluginUsageQuery({ name: 'a', type: 'other' }), null)
+  })
+})
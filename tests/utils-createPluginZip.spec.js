@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'child_process'
+import { createWriteStream } from 'fs'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+import { pipeline } from 'stream/promises'
+import { promisify } from 'util'
+
+import { createPluginZip } from '../lib/utils/createPluginZip.js'
+import { extractPluginArchive } from '../lib/utils/extractPluginArchive.js'
+
+describe('createPluginZip()', () => {
+  let tmpDir
+  let pluginPath
+
+  /** Writes the zip to disk and extracts it, returning the extracted directory */
+  async function zipAndExtract (options) {
+    const zipPath = path.join(tmpDir, 'plugin.zip')
+    await pipeline(await createPluginZip(pluginPath, options), createWriteStream(zipPath))
+    return extractPluginArchive(zipPath, path.join(tmpDir, 'extracted'))
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-test-'))
+    pluginPath = path.join(tmpDir, 'adapt-hotgrid')
+    await fs.mkdir(path.join(pluginPath, 'js'), { recursive: true })
+    await fs.writeFile(path.join(pluginPath, 'js', 'index.js'), 'export default {}')
+    await fs.writeFile(path.join(pluginPath, '.eslintrc'), '{}')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should zip the plugin files under the root folder', async () => {
+    await fs.writeFile(path.join(pluginPath, 'bower.json'), JSON.stringify({ name: 'adapt-hotgrid' }))
+
+    const extracted = await zipAndExtract({ root: 'adapt-hotgrid', manifest: { name: 'generated' } })
+
+    assert.deepEqual(await fs.readdir(extracted), ['adapt-hotgrid'])
+    assert.deepEqual((await fs.readdir(path.join(extracted, 'adapt-hotgrid'))).sort(), ['.eslintrc', 'bower.json', 'js'])
+    assert.equal(await fs.readFile(path.join(extracted, 'adapt-hotgrid', 'js', 'index.js'), 'utf8'), 'export default {}')
+  })
+
+  it('should add the manifest when the plugin has none', async () => {
+    const extracted = await zipAndExtract({ root: 'adapt-hotgrid', manifest: { name: 'adapt-hotgrid', version: '1.0.0' } })
+
+    const pkg = JSON.parse(await fs.readFile(path.join(extracted, 'adapt-hotgrid', 'package.json'), 'utf8'))
+    assert.deepEqual(pkg, { name: 'adapt-hotgrid', version: '1.0.0' })
+  })
+
+  it('should leave out node_modules', async () => {
+    await fs.mkdir(path.join(pluginPath, 'node_modules', 'dep'), { recursive: true })
+    await fs.writeFile(path.join(pluginPath, 'node_modules', 'dep', 'index.js'), '')
+
+    const extracted = await zipAndExtract({ root: 'adapt-hotgrid' })
+
+    await assert.rejects(fs.access(path.join(extracted, 'adapt-hotgrid', 'node_modules')), { code: 'ENOENT' })
+  })
+
+  it('should only add regular files', async () => {
+    await promisify(execFile)('mkfifo', [path.join(pluginPath, 'pipe')])
+    await fs.symlink(path.join(tmpDir, 'elsewhere'), path.join(pluginPath, 'link'))
+
+    const extracted = await zipAndExtract({ root: 'adapt-hotgrid' })
+
+    assert.deepEqual((await fs.readdir(path.join(extracted, 'adapt-hotgrid'))).sort(), ['.eslintrc', 'js'])
+  })
+
+  it('should emit an error without an unhandled rejection when a file can\'t be read', async () => {
+    const zip = await createPluginZip(pluginPath, { root: 'adapt-hotgrid' })
+    await fs.rm(path.join(pluginPath, 'js', 'index.js'))
+    const error = await new Promise(resolve => {
+      zip.on('error', resolve)
+      zip.resume()
+    })
+    await new Promise(resolve => setTimeout(resolve, 10))
+
+    assert.equal(error.code, 'ENOENT')
+  })
+})
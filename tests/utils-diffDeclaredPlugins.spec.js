@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffDeclaredPlugins } from '../lib/utils/diffDeclaredPlugins.js'
+
+describe('diffDeclaredPlugins()', () => {
+  const installed = [
+    { name: 'adapt-contrib-text', version: '7.1.0', isEnabled: true, isAddedByDefault: true },
+    { name: 'adapt-hotgrid', version: '4.3.5' }
+  ]
+
+  it('should return no changes when every declared plugin is satisfied', () => {
+    const diff = diffDeclaredPlugins({ 'adapt-contrib-text': '^7.0.0', 'adapt-hotgrid': { version: '4.3.5' } }, installed)
+    assert.deepEqual(diff, { install: [], flags: [] })
+  })
+
+  it('should handle an empty declaration', () => {
+    assert.deepEqual(diffDeclaredPlugins(undefined, installed), { install: [], flags: [] })
+  })
+
+  it('should list missing plugins and plugins outside their range', () => {
+    const diff = diffDeclaredPlugins({ 'adapt-contrib-text': '~7.0.0', 'adapt-contrib-media': {}, 'adapt-hotgrid': '>=4' }, installed)
+    assert.deepEqual(diff.install, [
+      { name: 'adapt-contrib-text', range: '~7.0.0', installedVersion: '7.1.0' },
+      { name: 'adapt-contrib-media', range: '*', installedVersion: null }
+    ])
+  })
+
+  it('should list changed flags, comparing with the defaults where unset', () => {
+    const diff = diffDeclaredPlugins({
+      'adapt-contrib-text': { isAddedByDefault: false },
+      'adapt-hotgrid': { isEnabled: true, isAddedByDefault: true },
+      'adapt-contrib-media': { isEnabled: false }
+    }, installed)
+    assert.deepEqual(diff.flags, [
+      { name: 'adapt-contrib-text', isAddedByDefault: false },
+      { name: 'adapt-hotgrid', isAddedByDefault: true },
+      { name: 'adapt-contrib-media', isEnabled: false }
+    ])
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffPluginDependencies } from '../lib/utils/diffPluginDependencies.js'
+
+describe('diffPluginDependencies()', () => {
+  it('should return no changes for identical dependencies', () => {
+    const deps = { 'adapt-contrib-core': '^6.0.0' }
+    assert.deepEqual(diffPluginDependencies(deps, { ...deps }), { added: {}, removed: {}, changed: {} })
+  })
+
+  it('should handle missing dependency maps', () => {
+    assert.deepEqual(diffPluginDependencies(undefined, null), { added: {}, removed: {}, changed: {} })
+    assert.deepEqual(diffPluginDependencies(undefined, { a: '*' }).added, { a: '*' })
+    assert.deepEqual(diffPluginDependencies({ a: '*' }).removed, { a: '*' })
+  })
+
+  it('should report added, removed and changed dependencies', () => {
+    const result = diffPluginDependencies(
+      { a: '^1.0.0', b: '^2.0.0' },
+      { b: '^3.0.0', c: '*' }
+    )
+    assert.deepEqual(result, {
+      added: { c: '*' },
+      removed: { a: '^1.0.0' },
+      changed: { b: { from: '^2.0.0', to: '^3.0.0' } }
+    })
+  })
+})
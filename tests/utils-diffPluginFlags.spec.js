@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffPluginFlags } from '../lib/utils/diffPluginFlags.js'
+
+describe('diffPluginFlags()', () => {
+  it('should return the flags which differ from the plugin', () => {
+    const plugin = { name: 'adapt-contrib-text', isEnabled: true, isAddedByDefault: false }
+    assert.deepEqual(diffPluginFlags({ isEnabled: false, isAddedByDefault: false }, plugin), { isEnabled: false })
+  })
+
+  it('should ignore unset flags and other attributes', () => {
+    const plugin = { isEnabled: true, isAddedByDefault: true }
+    assert.deepEqual(diffPluginFlags({ version: '1.0.0', source: 'registry' }, plugin), {})
+  })
+
+  it('should compare with the defaults for a plugin which is not installed', () => {
+    assert.deepEqual(diffPluginFlags({ isEnabled: true, isAddedByDefault: true }), { isAddedByDefault: true })
+    assert.deepEqual(diffPluginFlags({ isEnabled: false, isAddedByDefault: false }), { isEnabled: false })
+  })
+
+  it('should compare with the defaults for flags the plugin does not have', () => {
+    assert.deepEqual(diffPluginFlags({ isEnabled: true, isAddedByDefault: true }, { name: 'adapt-hotgrid' }), { isAddedByDefault: true })
+  })
+})
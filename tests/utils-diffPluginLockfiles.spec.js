@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffPluginLockfiles } from '../lib/utils/diffPluginLockfiles.js'
+
+const plugin = (version, extra = {}) => ({ version, source: 'registry', integrity: 'sha256-a', isEnabled: true, isAddedByDefault: false, ...extra })
+
+describe('diffPluginLockfiles()', () => {
+  it('should return no changes for identical lockfiles', () => {
+    const lockfile = { plugins: { 'adapt-contrib-text': plugin('1.0.0') } }
+    assert.deepEqual(diffPluginLockfiles(lockfile, structuredClone(lockfile)), { missing: [], mismatched: [], modified: [], flags: [], extra: [] })
+  })
+
+  it('should report missing and extra plugins', () => {
+    const diff = diffPluginLockfiles(
+      { plugins: { 'adapt-contrib-text': plugin('1.0.0', { source: 'local' }) } },
+      { plugins: { 'adapt-hotgrid': plugin('2.0.0') } }
+    )
+    assert.deepEqual(diff.missing, [{ name: 'adapt-contrib-text', version: '1.0.0', source: 'local' }])
+    assert.deepEqual(diff.extra, ['adapt-hotgrid'])
+  })
+
+  it('should report plugins with a different version or source', () => {
+    const diff = diffPluginLockfiles(
+      { plugins: { a: plugin('1.0.0'), b: plugin('1.0.0', { source: 'local' }) } },
+      { plugins: { a: plugin('2.0.0'), b: plugin('1.0.0') } }
+    )
+    assert.deepEqual(diff.mismatched, [
+      { name: 'a', version: '1.0.0', source: 'registry', installedVersion: '2.0.0', installedSource: 'registry' },
+      { name: 'b', version: '1.0.0', source: 'local', installedVersion: '1.0.0', installedSource: 'registry' }
+    ])
+  })
+
+  it('should report plugins whose files differ, unless either hash is unknown', () => {
+    const diff = diffPluginLockfiles(
+      { plugins: { a: plugin('1.0.0'), b: plugin('1.0.0', { integrity: null }) } },
+      { plugins: { a: plugin('1.0.0', { integrity: 'sha256-b' }), b: plugin('1.0.0', { integrity: 'sha256-b' }) } }
+    )
+    assert.deepEqual(diff.modified, [{ name: 'a', version: '1.0.0', expected: 'sha256-a', actual: 'sha256-b' }])
+  })
+
+  it('should report changed flags, comparing missing plugins with the defaults', () => {
+    const diff = diffPluginLockfiles(
+      { plugins: { a: plugin('1.0.0', { isEnabled: false }), b: plugin('1.0.0', { isAddedByDefault: true }), c: plugin('1.0.0') } },
+      { plugins: { a: plugin('1.0.0') } }
+    )
+    assert.deepEqual(diff.flags, [{ name: 'a', isEnabled: false }, { name: 'b', isAddedByDefault: true }])
+  })
+})
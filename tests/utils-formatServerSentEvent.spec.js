@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { formatServerSentEvent } from '../lib/utils/formatServerSentEvent.js'
+
+describe('formatServerSentEvent()', () => {
+  it('should format the event name and JSON data', () => {
+    assert.equal(formatServerSentEvent('progress', { step: 'cli' }), 'event: progress\ndata: {"step":"cli"}\n\n')
+  })
+
+  it('should keep multi-line data on a single data line', () => {
+    assert.equal(formatServerSentEvent('log', { message: 'a\nb' }), 'event: log\ndata: {"message":"a\\nb"}\n\n')
+  })
+
+  it('should send null when there is no data', () => {
+    assert.equal(formatServerSentEvent('ping'), 'event: ping\ndata: null\n\n')
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getCourseConfig } from '../lib/utils/getCourseConfig.js'
+
+function createMockError (code) {
+  return { setData: data => Object.assign(new Error(code), { data }) }
+}
+
+function createMockContentplugin (configs = [], { canAccess = () => true } = {}) {
+  const errors = Object.fromEntries(['NOT_FOUND', 'UNAUTHORISED'].map(c => [c, createMockError(c)]))
+  const content = {
+    findOne: async ({ _courseId }) => configs.find(c => c._courseId === _courseId),
+    checkAccess: async (req, data) => {
+      if (req.auth.isSuper || canAccess(req, data)) return data
+      throw errors.UNAUTHORISED.setData({ method: req.method, url: req.url })
+    }
+  }
+  return { app: { errors, waitForModule: async () => content } }
+}
+
+describe('getCourseConfig', () => {
+  const configs = [{ _id: 'config1', _type: 'config', _courseId: 'course1', createdBy: 'owner' }]
+  const canAccess = (req, data) => req.auth.user._id === data.createdBy
+
+  it('should return the course config', async () => {
+    const config = await getCourseConfig(createMockContentplugin(configs), 'course1')
+    assert.equal(config._id, 'config1')
+  })
+
+  it('should throw NOT_FOUND for a course with no config', async () => {
+    await assert.rejects(
+      getCourseConfig(createMockContentplugin(configs), 'course2'),
+      { message: 'NOT_FOUND', data: { type: 'course', id: 'course2' } }
+    )
+  })
+
+  it('should return the config for a user with access to the course', async () => {
+    const req = { auth: { user: { _id: 'owner' } } }
+    const config = await getCourseConfig(createMockContentplugin(configs, { canAccess }), 'course1', req)
+    assert.equal(config._id, 'config1')
+  })
+
+  it('should throw UNAUTHORISED for a user without access to the course', async () => {
+    const req = { method: 'POST', url: '/api/contentplugins/plugin1/courses/course1', auth: { user: { _id: 'other' } } }
+    await assert.rejects(
+      getCourseConfig(createMockContentplugin(configs, { canAccess }), 'course1', req),
+      { message: 'UNAUTHORISED', data: { method: req.method, url: req.url } }
+    )
+  })
+
+  it('should not check access when no request is given', async () => {
+    const config = await getCourseConfig(createMockContentplugin(configs, { canAccess: () => false }), 'course1')
+    assert.equal(config._id, 'config1')
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+
+import { getPluginBackups } from '../lib/utils/getPluginBackups.js'
+
+describe('getPluginBackups()', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should return an empty array when no backups exist', async () => {
+    assert.deepEqual(await getPluginBackups(tmpDir, 'adapt-hotgrid'), [])
+  })
+
+  it('should return backups sorted newest first', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v10.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+
+    assert.deepEqual(await getPluginBackups(tmpDir, 'adapt-hotgrid'), [
+      path.join(tmpDir, 'adapt-hotgrid-v10.0.0'),
+      path.join(tmpDir, 'adapt-hotgrid-v2.0.0'),
+      path.join(tmpDir, 'adapt-hotgrid-v1.0.0')
+    ])
+  })
+
+  it('should not include backups of other plugins or the plugin itself', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-text-v1.0.0'))
+
+    assert.deepEqual(await getPluginBackups(tmpDir, 'adapt-hotgrid'), [path.join(tmpDir, 'adapt-hotgrid-v1.0.0')])
+  })
+})
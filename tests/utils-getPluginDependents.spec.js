@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { getPluginDependents } from '../lib/utils/getPluginDependents.js'
+
+const names = plugins => plugins.map(p => p.name)
+
+describe('getPluginDependents()', () => {
+  it('should return an empty array when nothing depends on the plugin', () => {
+    const plugins = [
+      { name: 'a' },
+      { name: 'b', pluginDependencies: { c: '*' } }
+    ]
+    assert.deepEqual(getPluginDependents(plugins, 'a'), [])
+  })
+
+  it('should return direct dependants', () => {
+    const plugins = [
+      { name: 'a' },
+      { name: 'b', pluginDependencies: { a: '^1.0.0' } },
+      { name: 'c', pluginDependencies: { a: '*' } }
+    ]
+    assert.deepEqual(names(getPluginDependents(plugins, 'a')), ['b', 'c'])
+  })
+
+  it('should return indirect dependants before the plugins they depend on', () => {
+    const plugins = [
+      { name: 'a' },
+      { name: 'b', pluginDependencies: { a: '*' } },
+      { name: 'c', pluginDependencies: { b: '*' } }
+    ]
+    assert.deepEqual(names(getPluginDependents(plugins, 'a')), ['c', 'b'])
+  })
+
+  it('should only list a plugin once when it depends on several dependants', () => {
+    const plugins = [
+      { name: 'a' },
+      { name: 'x', pluginDependencies: { a: '*', b: '*' } },
+      { name: 'b', pluginDependencies: { a: '*' } }
+    ]
+    assert.deepEqual(names(getPluginDependents(plugins, 'a')), ['x', 'b'])
+  })
+
+  it('should handle circular dependencies', () => {
+    const plugins = [
+      { name: 'a', pluginDependencies: { b: '*' } },
+      { name: 'b', pluginDependencies: { a: '*' } }
+    ]
+    assert.deepEqual(names(getPluginDependents(plugins, 'a')), ['b'])
+  })
+})
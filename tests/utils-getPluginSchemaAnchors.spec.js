@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { getPluginSchemaAnchors } from '../lib/utils/getPluginSchemaAnchors.js'
+
+describe('getPluginSchemaAnchors()', () => {
+  let pluginDir
+
+  const writeSchema = async (relPath, schema) => {
+    const filePath = path.join(pluginDir, relPath)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, JSON.stringify(schema))
+  }
+
+  beforeEach(async () => {
+    pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'anchors-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(pluginDir, { recursive: true, force: true })
+  })
+
+  it('should return the sorted $anchor of every schema', async () => {
+    await writeSchema('schema/course.schema.json', { $anchor: 'trickle-course' })
+    await writeSchema('schema/article.schema.json', { $anchor: 'trickle-article' })
+
+    assert.deepEqual(await getPluginSchemaAnchors(pluginDir), ['trickle-article', 'trickle-course'])
+  })
+
+  it('should find schemas in nested directories', async () => {
+    await writeSchema('properties/nested/component.schema.json', { $anchor: 'text-component' })
+
+    assert.deepEqual(await getPluginSchemaAnchors(pluginDir), ['text-component'])
+  })
+
+  it('should ignore schemas without an $anchor and other JSON files', async () => {
+    await writeSchema('schema/legacy.schema.json', { type: 'object' })
+    await writeSchema('package.json', { $anchor: 'not-a-schema' })
+
+    assert.deepEqual(await getPluginSchemaAnchors(pluginDir), [])
+  })
+})
@@ -0,0 +1,35 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { getPluginSourceDir } from '../lib/utils/getPluginSourceDir.js'
+
+describe('getPluginSourceDir()', () => {
+  let srcDir
+
+  beforeEach(async () => {
+    srcDir = await fs.mkdtemp(path.join(os.tmpdir(), 'srcdir-test-'))
+    await fs.mkdir(path.join(srcDir, 'components', 'adapt-contrib-text'), { recursive: true })
+    await fs.mkdir(path.join(srcDir, 'theme', 'adapt-contrib-vanilla'), { recursive: true })
+    await fs.mkdir(path.join(srcDir, 'core'), { recursive: true })
+  })
+
+  afterEach(async () => {
+    await fs.rm(srcDir, { recursive: true, force: true })
+  })
+
+  it('should return the directory of an installed plugin', async () => {
+    assert.equal(await getPluginSourceDir(srcDir, 'adapt-contrib-text'), path.join(srcDir, 'components', 'adapt-contrib-text'))
+    assert.equal(await getPluginSourceDir(srcDir, 'adapt-contrib-vanilla'), path.join(srcDir, 'theme', 'adapt-contrib-vanilla'))
+  })
+
+  it('should return null for a plugin which is not installed', async () => {
+    assert.equal(await getPluginSourceDir(srcDir, 'adapt-contrib-missing'), null)
+  })
+
+  it('should ignore non-plugin directories', async () => {
+    assert.equal(await getPluginSourceDir(srcDir, 'core'), null)
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { hashPluginDir } from '../lib/utils/hashPluginDir.js'
+
+describe('hashPluginDir()', () => {
+  let tmpDir, pluginPath
+
+  const createPlugin = async (dir, files) => {
+    for (const [name, contents] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true })
+      await fs.writeFile(path.join(dir, name), contents)
+    }
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hash-test-'))
+    pluginPath = path.join(tmpDir, 'adapt-contrib-text')
+    await createPlugin(pluginPath, { 'package.json': '{}', 'js/text.js': 'v1' })
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should return a sha256 integrity string', async () => {
+    assert.match(await hashPluginDir(pluginPath), /^sha256-[A-Za-z0-9+/]+=*$/)
+  })
+
+  it('should return the same hash for identical contents in another location', async () => {
+    const copyPath = path.join(tmpDir, 'copy')
+    await createPlugin(copyPath, { 'js/text.js': 'v1', 'package.json': '{}' })
+    assert.equal(await hashPluginDir(copyPath), await hashPluginDir(pluginPath))
+  })
+
+  it('should change when a file is modified', async () => {
+    const before = await hashPluginDir(pluginPath)
+    await fs.writeFile(path.join(pluginPath, 'js', 'text.js'), 'v2')
+    assert.notEqual(await hashPluginDir(pluginPath), before)
+  })
+
+  it('should change when a file is added, removed or renamed', async () => {
+    const before = await hashPluginDir(pluginPath)
+    await fs.writeFile(path.join(pluginPath, 'extra.js'), '')
+    const added = await hashPluginDir(pluginPath)
+    assert.notEqual(added, before)
+    await fs.rename(path.join(pluginPath, 'extra.js'), path.join(pluginPath, 'renamed.js'))
+    assert.notEqual(await hashPluginDir(pluginPath), added)
+    await fs.rm(path.join(pluginPath, 'renamed.js'))
+    assert.equal(await hashPluginDir(pluginPath), before)
+  })
+
+  it('should hash symlinks by their target', async () => {
+    const before = await hashPluginDir(pluginPath)
+    await fs.symlink('js/text.js', path.join(pluginPath, 'link.js'))
+    assert.notEqual(await hashPluginDir(pluginPath), before)
+  })
+})
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { isFrameworkCompatible } from '../lib/utils/isFrameworkCompatible.js'
+
+describe('isFrameworkCompatible()', () => {
+  it('should return true when the framework satisfies the range', () => {
+    assert.equal(isFrameworkCompatible('5.40.0', '>=5.30'), true)
+  })
+
+  it('should return false when the framework does not satisfy the range', () => {
+    assert.equal(isFrameworkCompatible('5.40.0', '>=6'), false)
+    assert.equal(isFrameworkCompatible('4.9.0', '^5.0.0'), false)
+  })
+
+  it('should treat prerelease framework versions as satisfying the range', () => {
+    assert.equal(isFrameworkCompatible('6.0.0-rc.1', '>=5.30'), true)
+  })
+
+  it('should return true when the plugin declares no framework range', () => {
+    assert.equal(isFrameworkCompatible('5.40.0'), true)
+    assert.equal(isFrameworkCompatible('5.40.0', ''), true)
+  })
+
+  it('should return true when the framework version is unknown', () => {
+    assert.equal(isFrameworkCompatible(undefined, '>=5'), true)
+  })
+
+  it('should return false for an invalid range', () => {
+    assert.equal(isFrameworkCompatible('5.40.0', 'not-a-range'), false)
+  })
+})
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { isSafePluginName } from '../lib/utils/isSafePluginName.js'
+
+describe('isSafePluginName()', () => {
+  it('should accept typical plugin names', () => {
+    assert.equal(isSafePluginName('adapt-contrib-text'), true)
+    assert.equal(isSafePluginName('adapt_my.plugin2'), true)
+  })
+
+  it('should reject names which could resolve outside the plugin directory', () => {
+    assert.equal(isSafePluginName('../adapt-contrib-text'), false)
+    assert.equal(isSafePluginName('..'), false)
+    assert.equal(isSafePluginName('a..b'), false)
+    assert.equal(isSafePluginName('adapt/contrib'), false)
+    assert.equal(isSafePluginName('adapt\\contrib'), false)
+    assert.equal(isSafePluginName('/etc'), false)
+  })
+
+  it('should reject scoped, hidden and empty names', () => {
+    assert.equal(isSafePluginName('@adapt/text'), false)
+    assert.equal(isSafePluginName('.hidden'), false)
+    assert.equal(isSafePluginName(''), false)
+  })
+
+  it('should reject non-strings and overly long names', () => {
+    assert.equal(isSafePluginName(undefined), false)
+    assert.equal(isSafePluginName({ name: 'x' }), false)
+    assert.equal(isSafePluginName('a'.repeat(215)), false)
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+
+import { listPluginBackups } from '../lib/utils/listPluginBackups.js'
+
+describe('listPluginBackups()', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'list-backups-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should return an empty array when no backups exist', async () => {
+    assert.deepEqual(await listPluginBackups(tmpDir, 'adapt-hotgrid'), [])
+  })
+
+  it('should merge in the details recorded in the backup manifest', async () => {
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v1.0.0'))
+    await fs.mkdir(path.join(tmpDir, 'adapt-hotgrid-v2.0.0'))
+    await fs.writeFile(path.join(tmpDir, '.backups.json'), JSON.stringify({
+      'adapt-hotgrid': {
+        backups: [{ version: '2.0.0', dir: 'adapt-hotgrid-v2.0.0', createdAt: '2026-01-01T00:00:00.000Z', source: 'hotgrid.zip', integrity: 'sha256-abc' }]
+      }
+    }))
+
+    assert.deepEqual(await listPluginBackups(tmpDir, 'adapt-hotgrid'), [
+      { version: '2.0.0', dir: 'adapt-hotgrid-v2.0.0', createdAt: '2026-01-01T00:00:00.000Z', source: 'hotgrid.zip', integrity: 'sha256-abc' },
+      { version: '1.0.0', dir: 'adapt-hotgrid-v1.0.0', createdAt: null, source: null, integrity: null }
+    ])
+  })
+})
@@ -0,0 +1,41 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+
+import { listRepositoryPlugins } from '../lib/utils/listRepositoryPlugins.js'
+
+describe('listRepositoryPlugins()', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repo-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should return an empty array when the directory does not exist', async () => {
+    assert.deepEqual(await listRepositoryPlugins(path.join(tmpDir, 'missing')), [])
+  })
+
+  it('should parse the name and version of each archive', async () => {
+    for (const f of ['adapt-contrib-text-2.1.0.zip', 'adapt-contrib-text-10.0.0.tgz', 'adapt-hotgrid-1.0.0-beta.1.zip']) {
+      await fs.writeFile(path.join(tmpDir, f), '')
+    }
+    assert.deepEqual(await listRepositoryPlugins(tmpDir), [
+      { name: 'adapt-contrib-text', version: '10.0.0', file: path.join(tmpDir, 'adapt-contrib-text-10.0.0.tgz') },
+      { name: 'adapt-contrib-text', version: '2.1.0', file: path.join(tmpDir, 'adapt-contrib-text-2.1.0.zip') },
+      { name: 'adapt-hotgrid', version: '1.0.0-beta.1', file: path.join(tmpDir, 'adapt-hotgrid-1.0.0-beta.1.zip') }
+    ])
+  })
+
+  it('should ignore files which are not named like plugin archives', async () => {
+    for (const f of ['README.md', 'adapt-contrib-text.zip', 'adapt-contrib-text-1.0.tgz', 'adapt-contrib-text-1.0.0.tar']) {
+      await fs.writeFile(path.join(tmpDir, f), '')
+    }
+    assert.deepEqual(await listRepositoryPlugins(tmpDir), [])
+  })
+})
@@ -0,0 +1,232 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'child_process'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+import { promisify } from 'util'
+import zlib from 'zlib'
+
+import { extractPluginArchive } from '../lib/utils/extractPluginArchive.js'
+import { readPluginArchiveEntries } from '../lib/utils/readPluginArchiveEntries.js'
+import { readPluginArchiveManifest } from '../lib/utils/readPluginArchiveManifest.js'
+
+/** Creates a .tgz of the given files (relative path → contents) */
+async function createArchive (tmpDir, files) {
+  const srcDir = path.join(tmpDir, 'src')
+  for (const [relPath, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(srcDir, relPath)), { recursive: true })
+    await fs.writeFile(path.join(srcDir, relPath), contents)
+  }
+  const archivePath = path.join(tmpDir, 'plugin.tgz')
+  await promisify(execFile)('tar', ['-czf', archivePath, '-C', srcDir, '.'])
+  return archivePath
+}
+
+/** Creates a .zip of the given paths, relative to cwd */
+async function createZip (tmpDir, cwd, paths) {
+  const archivePath = path.join(tmpDir, 'plugin.zip')
+  await promisify(execFile)('zip', ['-qr', archivePath, ...paths], { cwd })
+  return archivePath
+}
+
+/** Creates a .tgz from raw entries (`{ name, type, linkname, data }`), so that links can point anywhere */
+async function createRawArchive (tmpDir, entries) {
+  const blocks = entries.flatMap(({ name, type = '0', linkname = '', data = '' }) => {
+    const header = Buffer.alloc(512)
+    const body = Buffer.from(data)
+    header.write(name, 0)
+    header.write('0000644', 100)
+    header.write(body.length.toString(8).padStart(11, '0'), 124)
+    header.write('00000000000', 136)
+    header.write(type, 156)
+    header.write(linkname, 157)
+    header.write('ustar\x0000', 257)
+    header.fill(' ', 148, 156)
+    header.write(header.reduce((sum, b) => sum + b, 0).toString(8).padStart(6, '0') + '\0', 148)
+    return [header, body, Buffer.alloc((512 - body.length % 512) % 512)]
+  })
+  const archivePath = path.join(tmpDir, 'plugin.tgz')
+  await fs.writeFile(archivePath, zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)])))
+  return archivePath
+}
+
+describe('plugin archives', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('extractPluginArchive()', () => {
+    it('should extract the archive into the destination directory', async () => {
+      const archivePath = await createArchive(tmpDir, {
+        'package/package.json': JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }),
+        'package/js/index.js': ''
+      })
+      const destDir = path.join(tmpDir, 'dest')
+
+      assert.equal(await extractPluginArchive(archivePath, destDir), destDir)
+      await fs.access(path.join(destDir, 'package', 'js', 'index.js'))
+    })
+
+    it('should extract a zip archive', async () => {
+      const srcDir = path.join(tmpDir, 'src')
+      await fs.mkdir(path.join(srcDir, 'js'), { recursive: true })
+      await fs.writeFile(path.join(srcDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+      await fs.writeFile(path.join(srcDir, 'js', 'index.js'), '')
+      const archivePath = await createZip(tmpDir, srcDir, ['.'])
+      const destDir = path.join(tmpDir, 'dest')
+
+      await extractPluginArchive(archivePath, destDir)
+      await fs.access(path.join(destDir, 'js', 'index.js'))
+    })
+
+    it('should reject a zip with entries outside of the destination directory', async () => {
+      const srcDir = path.join(tmpDir, 'src')
+      await fs.mkdir(srcDir, { recursive: true })
+      await fs.writeFile(path.join(tmpDir, 'escaped.js'), '')
+      const archivePath = await createZip(tmpDir, srcDir, ['../escaped.js'])
+      await fs.rm(path.join(tmpDir, 'escaped.js'))
+      const destDir = path.join(tmpDir, 'dest', 'nested')
+
+      await assert.rejects(extractPluginArchive(archivePath, destDir))
+      await assert.rejects(fs.access(path.join(tmpDir, 'dest', 'escaped.js')), { code: 'ENOENT' })
+    })
+
+    it('should reject a hardlink entry', async () => {
+      const secretPath = path.join(tmpDir, 'secret.txt')
+      await fs.writeFile(secretPath, 'secret')
+      const archivePath = await createRawArchive(tmpDir, [
+        { name: 'package/package.json', data: '{}' },
+        { name: 'package/leak.txt', type: '1', linkname: secretPath }
+      ])
+      const destDir = path.join(tmpDir, 'dest')
+
+      await assert.rejects(extractPluginArchive(archivePath, destDir), { reason: 'hardlinks are not allowed', file: 'package/leak.txt' })
+      await assert.rejects(fs.access(path.join(destDir, 'package', 'leak.txt')), { code: 'ENOENT' })
+    })
+
+    it('should reject a symlink entry which points outside of the destination directory', async () => {
+      const archivePath = await createRawArchive(tmpDir, [
+        { name: 'package/package.json', data: '{}' },
+        { name: 'package/leak.txt', type: '2', linkname: '../../secret.txt' }
+      ])
+      const destDir = path.join(tmpDir, 'dest')
+
+      await assert.rejects(extractPluginArchive(archivePath, destDir), { reason: 'symlink points outside of the upload', file: 'package/leak.txt' })
+      await assert.rejects(fs.lstat(path.join(destDir, 'package', 'leak.txt')), { code: 'ENOENT' })
+    })
+
+    it('should extract a symlink entry which points inside the destination directory', async () => {
+      const archivePath = await createRawArchive(tmpDir, [
+        { name: 'package/package.json', data: '{}' },
+        { name: 'package/index.json', type: '2', linkname: 'package.json' }
+      ])
+      const destDir = path.join(tmpDir, 'dest')
+
+      await extractPluginArchive(archivePath, destDir)
+      assert.equal(await fs.readlink(path.join(destDir, 'package', 'index.json')), 'package.json')
+    })
+
+    it('should reject an archive with more files than the limit before writing anything', async () => {
+      const archivePath = await createArchive(tmpDir, { 'package.json': '{}', 'a.js': '', 'b.js': '' })
+      const destDir = path.join(tmpDir, 'dest')
+
+      await assert.rejects(extractPluginArchive(archivePath, destDir, { maxFiles: 2 }), { reason: 'more than 2 files' })
+      await assert.rejects(fs.access(destDir), { code: 'ENOENT' })
+      await extractPluginArchive(archivePath, destDir, { maxFiles: 3 })
+    })
+
+    it('should reject an archive larger than the limit from its headers', async () => {
+      const srcDir = path.join(tmpDir, 'src')
+      await fs.mkdir(srcDir, { recursive: true })
+      await fs.writeFile(path.join(srcDir, 'package.json'), '{}')
+      await fs.writeFile(path.join(srcDir, 'big.js'), Buffer.alloc(1024 * 1024))
+      const archivePath = await createZip(tmpDir, srcDir, ['.'])
+      const destDir = path.join(tmpDir, 'dest')
+
+      await assert.rejects(extractPluginArchive(archivePath, destDir, { maxSize: 1024 }), { reason: 'larger than 1024 bytes' })
+      await assert.rejects(fs.access(destDir), { code: 'ENOENT' })
+    })
+
+    it('should throw for a file which is not an archive', async () => {
+      const filePath = path.join(tmpDir, 'plugin.tgz')
+      await fs.writeFile(filePath, 'not an archive')
+
+      await assert.rejects(extractPluginArchive(filePath, path.join(tmpDir, 'dest')), /Invalid plugin zip/)
+    })
+  })
+
+  describe('readPluginArchiveEntries()', () => {
+    it('should pass each entry to the filter before reading it', async () => {
+      const archivePath = await createArchive(tmpDir, { 'package.json': '{"name":"a"}', 'index.js': 'skipped' })
+      const seen = []
+      const files = await readPluginArchiveEntries(await fs.readFile(archivePath), entry => {
+        seen.push(entry.path)
+        return entry.path.endsWith('package.json')
+      })
+
+      assert.ok(seen.includes('./index.js'))
+      assert.deepEqual(files.map(f => [f.path, f.type, f.size, f.data.toString()]), [['./package.json', 'file', 12, '{"name":"a"}']])
+    })
+
+    it('should read the entries of a zip, including symlinks', async () => {
+      const srcDir = path.join(tmpDir, 'src')
+      await fs.mkdir(srcDir, { recursive: true })
+      await fs.writeFile(path.join(srcDir, 'package.json'), '{}')
+      await fs.symlink('package.json', path.join(srcDir, 'link.json'))
+      const archivePath = await createZip(tmpDir, srcDir, ['-y', '.'])
+      const files = await readPluginArchiveEntries(await fs.readFile(archivePath))
+
+      assert.deepEqual(files.map(f => [f.path, f.type, f.linkname]).sort(), [['link.json', 'symlink', 'package.json'], ['package.json', 'file', undefined]])
+    })
+
+    it('should stop reading when the filter throws', async () => {
+      const archivePath = await createArchive(tmpDir, { 'a.js': '', 'b.js': '' })
+      await assert.rejects(readPluginArchiveEntries(await fs.readFile(archivePath), () => { throw new Error('stop') }), /stop/)
+    })
+
+    it('should return nothing for a file which is not an archive', async () => {
+      assert.deepEqual(await readPluginArchiveEntries(Buffer.from('not an archive')), [])
+    })
+  })
+
+  describe('readPluginArchiveManifest()', () => {
+    it('should read the manifest closest to the archive root', async () => {
+      const archivePath = await createArchive(tmpDir, {
+        'package/package.json': JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0', framework: '>=5' }),
+        'package/node_modules/dep/package.json': JSON.stringify({ name: 'dep' })
+      })
+      assert.deepEqual(await readPluginArchiveManifest(archivePath), { name: 'adapt-hotgrid', version: '1.0.0', framework: '>=5' })
+    })
+
+    it('should prefer package.json over bower.json', async () => {
+      const archivePath = await createArchive(tmpDir, {
+        'bower.json': JSON.stringify({ name: 'from-bower' }),
+        'package.json': JSON.stringify({ name: 'from-package' })
+      })
+      assert.equal((await readPluginArchiveManifest(archivePath)).name, 'from-package')
+    })
+
+    it('should re-read the manifest when the archive changes', async () => {
+      const archivePath = await createArchive(tmpDir, { 'package.json': JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }) })
+      const manifest = await readPluginArchiveManifest(archivePath)
+      manifest.version = 'modified'
+      assert.equal((await readPluginArchiveManifest(archivePath)).version, '1.0.0')
+
+      await fs.rm(path.join(tmpDir, 'src'), { recursive: true })
+      await createArchive(tmpDir, { 'package.json': JSON.stringify({ name: 'adapt-hotgrid', version: '2.0.0-beta' }) })
+      assert.equal((await readPluginArchiveManifest(archivePath)).version, '2.0.0-beta')
+    })
+
+    it('should throw when the archive has no manifest', async () => {
+      const archivePath = await createArchive(tmpDir, { 'index.js': '' })
+      await assert.rejects(readPluginArchiveManifest(archivePath), /Invalid plugin zip/)
+    })
+  })
+})
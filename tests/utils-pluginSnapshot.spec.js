@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { snapshotPluginDir } from '../lib/utils/snapshotPluginDir.js'
+import { restorePluginSnapshot } from '../lib/utils/restorePluginSnapshot.js'
+
+describe('plugin snapshots', () => {
+  let tmpDir, pluginPath, snapshotDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-test-'))
+    pluginPath = path.join(tmpDir, 'adapt-contrib-text')
+    await fs.mkdir(path.join(pluginPath, 'js'), { recursive: true })
+    await fs.writeFile(path.join(pluginPath, 'package.json'), JSON.stringify({ version: '1.0.0' }))
+    await fs.writeFile(path.join(pluginPath, 'js', 'text.js'), 'v1')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+    if (snapshotDir) await fs.rm(snapshotDir, { recursive: true, force: true })
+    snapshotDir = undefined
+  })
+
+  describe('snapshotPluginDir()', () => {
+    it('should return null if the plugin directory does not exist', async () => {
+      assert.equal(await snapshotPluginDir(path.join(tmpDir, 'missing')), null)
+    })
+
+    it('should copy the plugin directory, leaving the original in place', async () => {
+      snapshotDir = await snapshotPluginDir(pluginPath)
+
+      assert.equal(await fs.readFile(path.join(snapshotDir, 'js', 'text.js'), 'utf8'), 'v1')
+      assert.equal(await fs.readFile(path.join(pluginPath, 'js', 'text.js'), 'utf8'), 'v1')
+    })
+  })
+
+  describe('restorePluginSnapshot()', () => {
+    it('should replace the plugin directory with the snapshot', async () => {
+      snapshotDir = await snapshotPluginDir(pluginPath)
+      await fs.writeFile(path.join(pluginPath, 'js', 'text.js'), 'v2')
+      await fs.writeFile(path.join(pluginPath, 'new.js'), 'added in v2')
+
+      await restorePluginSnapshot(snapshotDir, pluginPath)
+
+      assert.equal(await fs.readFile(path.join(pluginPath, 'js', 'text.js'), 'utf8'), 'v1')
+      await assert.rejects(fs.access(path.join(pluginPath, 'new.js')))
+    })
+
+    it('should keep relative symlinks pointing inside the plugin', async () => {
+      await fs.symlink('js/text.js', path.join(pluginPath, 'index.js'))
+      snapshotDir = await snapshotPluginDir(pluginPath)
+      await fs.rm(pluginPath, { recursive: true })
+
+      await restorePluginSnapshot(snapshotDir, pluginPath)
+
+      assert.equal(await fs.readlink(path.join(pluginPath, 'index.js')), 'js/text.js')
+      assert.equal(await fs.readFile(path.join(pluginPath, 'index.js'), 'utf8'), 'v1')
+    })
+
+    it('should recreate a plugin directory which has been removed', async () => {
+      snapshotDir = await snapshotPluginDir(pluginPath)
+      await fs.rm(pluginPath, { recursive: true })
+
+      await restorePluginSnapshot(snapshotDir, pluginPath)
+
+      assert.equal(await fs.readFile(path.join(pluginPath, 'js', 'text.js'), 'utf8'), 'v1')
+    })
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+
+import { readPluginManifest } from '../lib/utils/readPluginManifest.js'
+
+describe('readPluginManifest()', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should read package.json from the source root', async () => {
+    await fs.writeFile(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '4.3.5' }))
+    await fs.writeFile(path.join(tmpDir, 'index.js'), '')
+
+    const { pkg, sourcePath } = await readPluginManifest(tmpDir)
+
+    assert.deepEqual(pkg, { name: 'adapt-hotgrid', version: '4.3.5' })
+    assert.equal(sourcePath, tmpDir)
+  })
+
+  it('should fall back to bower.json', async () => {
+    await fs.writeFile(path.join(tmpDir, 'bower.json'), JSON.stringify({ name: 'adapt-vanilla', version: '2.0.0' }))
+    await fs.writeFile(path.join(tmpDir, 'index.js'), '')
+
+    const { pkg } = await readPluginManifest(tmpDir)
+
+    assert.equal(pkg.name, 'adapt-vanilla')
+  })
+
+  it('should resolve a nested root folder', async () => {
+    const nested = path.join(tmpDir, 'adapt-hotgrid')
+    await fs.mkdir(nested)
+    await fs.writeFile(path.join(nested, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+
+    const { pkg, sourcePath } = await readPluginManifest(tmpDir)
+
+    assert.equal(pkg.name, 'adapt-hotgrid')
+    assert.equal(sourcePath, nested)
+  })
+
+  it('should not modify the source files', async () => {
+    await fs.writeFile(path.join(tmpDir, 'package.json'), JSON.stringify({ name: 'adapt-hotgrid', version: '1.0.0' }))
+    await fs.writeFile(path.join(tmpDir, 'index.js'), '')
+
+    await readPluginManifest(tmpDir)
+
+    assert.deepEqual((await fs.readdir(tmpDir)).sort(), ['index.js', 'package.json'])
+  })
+
+  it('should throw when no manifest exists', async () => {
+    await fs.writeFile(path.join(tmpDir, 'readme.txt'), '')
+    await fs.writeFile(path.join(tmpDir, 'index.js'), '')
+
+    await assert.rejects(
+      () => readPluginManifest(tmpDir),
+      (err) => err.message.startsWith('Invalid plugin zip')
+    )
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { resolveCoursePlugins } from '../lib/utils/resolveCoursePlugins.js'
+
+describe('resolveCoursePlugins()', () => {
+  it('should return just the plugin when it has no dependencies', () => {
+    const result = resolveCoursePlugins('a', [{ name: 'a', version: '1.0.0' }])
+    assert.deepEqual(result, { plugins: ['a'], missing: [], unsatisfied: [], disabled: [] })
+  })
+
+  it('should return nested dependencies before their dependants', () => {
+    const result = resolveCoursePlugins('a', [
+      { name: 'a', version: '1.0.0', pluginDependencies: { b: '^1.0.0' } },
+      { name: 'b', version: '1.0.0', pluginDependencies: { c: '*' } },
+      { name: 'c', version: '1.0.0', pluginDependencies: { a: '*' } }
+    ])
+    assert.deepEqual(result.plugins, ['c', 'b', 'a'])
+  })
+
+  it('should report missing, unsatisfied and disabled dependencies', () => {
+    const result = resolveCoursePlugins('a', [
+      { name: 'a', version: '1.0.0', pluginDependencies: { b: '^2.0.0', c: '*', d: '*' } },
+      { name: 'b', version: '1.0.0' },
+      { name: 'd', version: '1.0.0', isEnabled: false }
+    ])
+    assert.deepEqual(result.missing, [{ name: 'c', range: '*' }])
+    assert.deepEqual(result.unsatisfied, [{ name: 'b', range: '^2.0.0', installedVersion: '1.0.0' }])
+    assert.deepEqual(result.disabled, ['d'])
+    assert.deepEqual(result.plugins, ['b', 'd', 'a'])
+  })
+
+  it('should return nothing for a plugin which is not installed', () => {
+    assert.deepEqual(resolveCoursePlugins('a', []).plugins, [])
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { resolvePluginDependencies } from '../lib/utils/resolvePluginDependencies.js'
+
+describe('resolvePluginDependencies()', () => {
+  const installed = [
+    { name: 'adapt-contrib-core', version: '6.10.0' },
+    { name: 'adapt-contrib-trickle', version: '4.2.0' }
+  ]
+
+  it('should return nothing when there are no dependencies', () => {
+    assert.deepEqual(resolvePluginDependencies(undefined, installed), { missing: [], unsatisfied: [] })
+    assert.deepEqual(resolvePluginDependencies({}, installed), { missing: [], unsatisfied: [] })
+  })
+
+  it('should ignore dependencies satisfied by installed plugins', () => {
+    const result = resolvePluginDependencies({ 'adapt-contrib-core': '>=6.0.0' }, installed)
+    assert.deepEqual(result, { missing: [], unsatisfied: [] })
+  })
+
+  it('should list dependencies which are not installed', () => {
+    const result = resolvePluginDependencies({ 'adapt-contrib-pageLevelProgress': '^7.0.0' }, installed)
+    assert.deepEqual(result.missing, [{ name: 'adapt-contrib-pageLevelProgress', range: '^7.0.0' }])
+    assert.deepEqual(result.unsatisfied, [])
+  })
+
+  it('should list installed dependencies outside the required range', () => {
+    const result = resolvePluginDependencies({ 'adapt-contrib-trickle': '^5.0.0' }, installed)
+    assert.deepEqual(result.missing, [])
+    assert.deepEqual(result.unsatisfied, [{ name: 'adapt-contrib-trickle', range: '^5.0.0', installedVersion: '4.2.0' }])
+  })
+
+  it('should treat an empty range as any version', () => {
+    const result = resolvePluginDependencies({ 'adapt-contrib-trickle': '' }, installed)
+    assert.deepEqual(result, { missing: [], unsatisfied: [] })
+  })
+
+  it('should handle a mix of dependency states', () => {
+    const result = resolvePluginDependencies({
+      'adapt-contrib-core': '^6.0.0',
+      'adapt-contrib-trickle': '<4',
+      'adapt-contrib-resources': '*'
+    }, installed)
+    assert.equal(result.missing.length, 1)
+    assert.equal(result.unsatisfied.length, 1)
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateEnabledPlugins } from '../lib/utils/validateEnabledPlugins.js'
+
+function createMockError (code) {
+  return { setData: data => Object.assign(new Error(code), { data }) }
+}
+
+function createMockContentplugin (plugins = []) {
+  const codes = ['CONTENTPLUGIN_NOT_INSTALLED', 'CONTENTPLUGIN_DISABLED', 'CONTENTPLUGIN_DEPENDENCY_UNSATISFIED', 'CONTENTPLUGIN_MULTIPLE_OF_TYPE']
+  return {
+    find: async () => plugins,
+    app: { errors: Object.fromEntries(codes.map(c => [c, createMockError(c)])) }
+  }
+}
+
+describe('validateEnabledPlugins', () => {
+  const plugins = [{ name: 'plugin-a' }, { name: 'plugin-b', isEnabled: false }, { name: 'plugin-c', isEnabled: true }]
+
+  it('should do nothing when _enabledPlugins is not being set', async () => {
+    await validateEnabledPlugins(createMockContentplugin(plugins), { title: 'x' })
+  })
+
+  it('should allow enabled plugins', async () => {
+    await validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-a', 'plugin-c'] })
+  })
+
+  it('should reject newly enabled plugins which are disabled', async () => {
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-a', 'plugin-b'] }, { _enabledPlugins: ['plugin-a'] }),
+      { message: 'CONTENTPLUGIN_DISABLED', data: { names: ['plugin-b'] } }
+    )
+  })
+
+  it('should allow disabled plugins which were already enabled', async () => {
+    await validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-b'] }, { _enabledPlugins: ['plugin-b', 'plugin-a'] })
+  })
+  it('should reject newly enabled plugins which are not installed', async () => {
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-a', 'plugin-x'] }),
+      { message: 'CONTENTPLUGIN_NOT_INSTALLED', data: { names: ['plugin-x'] } }
+    )
+  })
+
+  it('should allow plugins which are no longer installed but were already enabled', async () => {
+    await validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-x'] }, { _enabledPlugins: ['plugin-x'] })
+  })
+
+  it('should reject plugins whose dependencies are not enabled', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', pluginDependencies: { 'plugin-a': '^1.0.0', 'plugin-c': '*' } }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-c', 'plugin-d'] }),
+      {
+        message: 'CONTENTPLUGIN_DEPENDENCY_UNSATISFIED',
+        data: { name: 'plugin-d', dependencies: [{ name: 'plugin-a', range: '^1.0.0' }] }
+      }
+    )
+  })
+
+  it('should reject removing a dependency of an enabled plugin', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', pluginDependencies: { 'plugin-a': '*' } }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-d'] }, { _enabledPlugins: ['plugin-a', 'plugin-d'] }),
+      { message: 'CONTENTPLUGIN_DEPENDENCY_UNSATISFIED' }
+    )
+  })
+
+  it('should allow plugins whose dependencies are enabled', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', pluginDependencies: { 'plugin-a': '*' } }]
+    await validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-a', 'plugin-d'] })
+  })
+
+  it('should reject more than one theme', async () => {
+    const themes = [...plugins, { name: 'theme-a', type: 'theme' }, { name: 'theme-b', type: 'theme' }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(themes), { _enabledPlugins: ['theme-a', 'theme-b'] }),
+      { message: 'CONTENTPLUGIN_MULTIPLE_OF_TYPE', data: { type: 'theme', names: ['theme-a', 'theme-b'] } }
+    )
+  })
+
+  it('should reject more than one menu', async () => {
+    const menus = [...plugins, { name: 'menu-a', type: 'menu' }, { name: 'menu-b', type: 'menu' }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(menus), { _enabledPlugins: ['menu-a', 'menu-b'] }),
+      { message: 'CONTENTPLUGIN_MULTIPLE_OF_TYPE', data: { type: 'menu', names: ['menu-a', 'menu-b'] } }
+    )
+  })
+
+  it('should reject inserting a config with a disabled plugin', async () => {
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-a', 'plugin-b'] }),
+      { message: 'CONTENTPLUGIN_DISABLED', data: { names: ['plugin-b'] } }
+    )
+  })
+
+  it('should allow inserting a cloned config with a disabled plugin', async () => {
+    await validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-a', 'plugin-b'] }, undefined, { allowDisabled: true })
+  })
+
+  it('should still check the rest of a cloned config', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', isEnabled: false, pluginDependencies: { 'plugin-e': '*' } }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-b', 'plugin-d'] }, undefined, { allowDisabled: true }),
+      { message: 'CONTENTPLUGIN_DEPENDENCY_UNSATISFIED', data: { name: 'plugin-d', dependencies: [{ name: 'plugin-e', range: '*' }] } }
+    )
+  })
+
+  it('should still reject inserting a config with plugins which are not installed', async () => {
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(plugins), { _enabledPlugins: ['plugin-b', 'plugin-x'] }),
+      { message: 'CONTENTPLUGIN_NOT_INSTALLED', data: { names: ['plugin-x'] } }
+    )
+  })
+
+  it('should allow unrelated edits to a course whose dependencies are already unsatisfied', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', pluginDependencies: { 'plugin-e': '*' } }]
+    await validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-d', 'plugin-a'] }, { _enabledPlugins: ['plugin-d', 'plugin-c'] })
+  })
+
+  it('should reject newly enabling a plugin whose dependencies are not enabled', async () => {
+    const withDeps = [...plugins, { name: 'plugin-d', pluginDependencies: { 'plugin-e': '*' } }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(withDeps), { _enabledPlugins: ['plugin-a', 'plugin-d'] }, { _enabledPlugins: ['plugin-a'] }),
+      { message: 'CONTENTPLUGIN_DEPENDENCY_UNSATISFIED', data: { name: 'plugin-d', dependencies: [{ name: 'plugin-e', range: '*' }] } }
+    )
+  })
+
+  it('should allow removing plugins from a course which already enables more than one theme', async () => {
+    const themes = [...plugins, { name: 'theme-a', type: 'theme' }, { name: 'theme-b', type: 'theme' }]
+    await validateEnabledPlugins(createMockContentplugin(themes), { _enabledPlugins: ['theme-a', 'theme-b'] }, { _enabledPlugins: ['theme-a', 'theme-b', 'plugin-a'] })
+  })
+
+  it('should reject enabling another theme in a course which already has one', async () => {
+    const themes = [...plugins, { name: 'theme-a', type: 'theme' }, { name: 'theme-b', type: 'theme' }]
+    await assert.rejects(
+      validateEnabledPlugins(createMockContentplugin(themes), { _enabledPlugins: ['theme-a', 'theme-b'] }, { _enabledPlugins: ['theme-a'] }),
+      { message: 'CONTENTPLUGIN_MULTIPLE_OF_TYPE', data: { type: 'theme', names: ['theme-a', 'theme-b'] } }
+    )
+  })
+
+  it('should allow one theme, one menu and several components', async () => {
+    const mixed = [
+      { name: 'theme-a', type: 'theme' },
+      { name: 'menu-a', type: 'menu' },
+      { name: 'component-a', type: 'component' },
+      { name: 'component-b', type: 'component' }
+    ]
+    await validateEnabledPlugins(createMockContentplugin(mixed), { _enabledPlugins: mixed.map(p => p.name) })
+  })
+})
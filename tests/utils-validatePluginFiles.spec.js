@@ -0,0 +1,69 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { validatePluginFiles } from '../lib/utils/validatePluginFiles.js'
+
+describe('validatePluginFiles()', () => {
+  let tmpDir, uploadDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-files-test-'))
+    uploadDir = path.join(tmpDir, 'upload')
+    await fs.mkdir(path.join(uploadDir, 'js'), { recursive: true })
+    await fs.writeFile(path.join(uploadDir, 'package.json'), '{"name":"adapt-contrib-text"}')
+    await fs.writeFile(path.join(uploadDir, 'js', 'text.js'), '// text')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should return the file count and total size of valid files', async () => {
+    assert.deepEqual(await validatePluginFiles(uploadDir), { files: 2, size: 36 })
+  })
+
+  it('should allow symlinks which stay inside the upload', async () => {
+    await fs.symlink(path.join(uploadDir, 'js', 'text.js'), path.join(uploadDir, 'link.js'))
+    await validatePluginFiles(uploadDir)
+  })
+
+  it('should reject symlinks which point outside the upload', async () => {
+    await fs.writeFile(path.join(tmpDir, 'secret'), 'secret')
+    await fs.symlink(path.join(tmpDir, 'secret'), path.join(uploadDir, 'js', 'secret.js'))
+    await assert.rejects(validatePluginFiles(uploadDir), {
+      reason: 'symlink points outside of the upload',
+      file: path.join('js', 'secret.js')
+    })
+  })
+
+  it('should reject broken symlinks', async () => {
+    await fs.symlink(path.join(tmpDir, 'missing'), path.join(uploadDir, 'broken'))
+    await assert.rejects(validatePluginFiles(uploadDir), /Invalid plugin zip/)
+  })
+
+  it('should reject node_modules', async () => {
+    await fs.mkdir(path.join(uploadDir, 'node_modules', 'x'), { recursive: true })
+    await assert.rejects(validatePluginFiles(uploadDir), { reason: 'node_modules is not allowed', file: 'node_modules' })
+  })
+
+  it('should reject disallowed file types, ignoring case', async () => {
+    await fs.writeFile(path.join(uploadDir, 'js', 'setup.EXE'), '')
+    await assert.rejects(validatePluginFiles(uploadDir, { disallowedExtensions: ['.exe'] }), {
+      reason: 'disallowed file type',
+      file: path.join('js', 'setup.EXE')
+    })
+  })
+
+  it('should enforce the file count limit', async () => {
+    await assert.rejects(validatePluginFiles(uploadDir, { maxFiles: 1 }), { reason: 'more than 1 files' })
+    await validatePluginFiles(uploadDir, { maxFiles: 2 })
+  })
+
+  it('should enforce the total size limit', async () => {
+    await assert.rejects(validatePluginFiles(uploadDir, { maxSize: 35 }), { reason: 'larger than 35 bytes' })
+    await validatePluginFiles(uploadDir, { maxSize: 36 })
+  })
+})